@@ -1,46 +1,298 @@
 let Leaflet; // Will be imported dynamically in connectedCallback()
+let leafletPromise = null; // Shared by all elements, so Leaflet is only loaded once
 
-/* 🏠 Local version */
-const BASE_URL = import.meta.resolve('./vendor-leaflet/');
-const LEAFLET_SCRIPT = 'leaflet-src.esm.min.js';
-const LEAFLET_STYLESHEET = 'leaflet.min.css';
+/* 🏠 Local version (default) */
+const VENDOR_URL = import.meta.resolve('./vendor-leaflet/');
+const leafletConfig = {
+    leafletUrl: `${VENDOR_URL}leaflet-src.esm.min.js`,
+    leafletCss: `${VENDOR_URL}leaflet.min.css`,
+    imagePath: `${VENDOR_URL}images/`,
+    leaflet: null // An already loaded Leaflet module
+};
 
-/* 🔗 CDN version */
-// const BASE_URL = 'https://unpkg.com/leaflet@1.9.4/dist/';
-// const LEAFLET_SCRIPT = 'leaflet-src.esm.js';
-// const LEAFLET_STYLESHEET = 'leaflet.css';
+/* 🔗 Import map version: use the page's "leaflet" entry (and the stylesheet and images next to it) */
+try {
+    const leafletDir = new URL('./', import.meta.resolve('leaflet')).href;
+    Object.assign(leafletConfig, leafletFilesIn(leafletDir), { leafletUrl: 'leaflet' });
+} catch { /* No "leaflet" in the import map */ }
+
+/* 🔗 CDN version: MapPicker.configure({ baseUrl: 'https://unpkg.com/leaflet@1.9.4/dist/' }) */
 
 export default class MapPicker extends HTMLElement {
-    static get observedAttributes() { return ['marker-coordinates']; }
+    static formAssociated = true; // Participate in <form> submission, reset and restore
+    static get observedAttributes() {
+        return ['marker-coordinates', 'required', 'within-bounds', 'require-address', 'min-radius', 'max-radius', 'keymap'];
+    }
 
     attributeChangedCallback(name, oldValue, newValue) {
         if (oldValue === newValue) return; // No change, no action
-        if (name === 'marker-coordinates' && newValue) {
-            const coords = csvToArray(newValue).map(Number);
-            this.setMarker(coords[0], coords[1]);
+        if (name === 'marker-coordinates') {
+            this.#parseLocations(newValue, true); // 📡 Report invalid coordinates
+            // The addresses were confirmed with the previous location(s) (confirming and restoring set them again)
+            this.#confirmedAddresses = [];
+            // Place the marker(s), unless they are already there (e.g. when the location is confirmed)
+            if (newValue && newValue !== this.#placedCoordinates()) this.#setMarkers(this.#confirmedLocations());
+            this.#updateFormValue();
+        } else if (name === 'keymap') {
+            this.keymap = newValue;
+        } else {
+            this.#updateValidity(); // A constraint attribute changed
         }
     }
 
-    static {
-        // Preload appropriate marker icon based on device pixel ratio
-        new Image().src = window.devicePixelRatio >= 2 
-            ? `${BASE_URL}images/marker-icon-2x.png`
-            : `${BASE_URL}images/marker-icon.png`;
-    }
-
     constructor() {
         super();
+        this.internals = this.attachInternals();
         this.host = this.#determineHost();
         this.mapWrapper = this.closest('[popover]') ?? this.parentElement;
         this.confirmLocation = this.host.querySelectorAll(this.getAttribute('confirm'));
         this.resetLocation = this.host.querySelectorAll(this.getAttribute('reset'));
-        this.initialCoords = this.hasAttribute('initial-coordinates')
-            ? csvToArray(this.getAttribute('initial-coordinates')).map(Number)
-            : [39.8283, -98.5795]; // Default to USA center
+        this.initialCoords = this.#initialCoordinates();
         this.initialZoom = parseInt(this.getAttribute('initial-zoom')) || 4; // Default zoom level
         this.map = null;
-        this.marker = null;
+        this.marker = null; // The most recently placed marker
         this.address = null; // Store the address of the marker
+        this.addressComponents = null; // Structured address (house number, road, postcode, ...)
+        this.activeLayer = null; // Name of the visible base layer
+
+        // Show the validation message when the form (or reportValidity) finds this control invalid
+        this.addEventListener('invalid', () => this.#showMessage(this.validationMessage));
+    }
+
+    #markerEntries = []; // { marker, location, address, addressComponents, lookup, controller, token, loading } for each placed marker
+    #placementCount = 0; // Numbers the placements, so a late address of an earlier placement can be told apart
+    #drawer = null; // Handles the user's input in drawing modes (e.g. PolygonDrawer)
+    #messageElement = null; // Inline (role=alert) message shown inside the map
+    #confirmedAddresses = []; // Addresses captured when the location(s) were last confirmed
+    #accuracyCircle = null; // Shows the accuracy of the location found with `locate()`
+    #keyboard = null; // Returned by setupKeyboardControls (once the map is set up)
+    #keymap = {}; // Keys by shortcut name, from the `keymap` attribute or property
+    #shortcuts = []; // Shortcuts added with `addShortcut()`
+    #windowListeners = null; // AbortController removing the listeners on window when the element is removed
+
+    // Translates the UI strings for the `lang` of the element (or of the page)
+    get #l10n() {
+        return getLocalization(elementLanguage(this) || navigator.language);
+    }
+
+    // Form control API (mirrors native inputs)
+    get form() { return this.internals.form; }
+    get name() { return this.getAttribute('name'); }
+    get type() { return this.localName; }
+
+    // The confirmed coordinates as a `latitude,longitude` string (empty if none),
+    // or as an array of such strings in `multiple` mode, or in the drawing mode's format (e.g. GeoJSON)
+    get value() {
+        const locations = this.#confirmedLocations();
+        if (this.#Drawer) return locations.length ? this.#Drawer.toValue(locations) : '';
+        const values = locations.map(locationString);
+        return this.multiple ? values : values.join(';');
+    }
+    set value(coordinates) {
+        if (Array.isArray(coordinates)) coordinates = coordinates.join(';');
+        // Drawing modes also accept their own format
+        const locations = coordinates && this.#Drawer?.fromValue(coordinates);
+        if (locations) coordinates = locations.map(locationString).join(';');
+        if (coordinates) this.setAttribute('marker-coordinates', coordinates);
+        else this.removeAttribute('marker-coordinates');
+    }
+
+    // Keys of the keyboard shortcuts by name, e.g. `{ reset: ['KeyX'], locate: [] }` (only the changed ones).
+    // Can be set to an object or a string like the `keymap` attribute ("reset: KeyX; locate: none").
+    get keymap() { return this.#keymap; }
+    set keymap(keymap) {
+        this.#keymap = parseKeymap(keymap);
+        this.#keyboard?.setKeymap(this.#keymap);
+    }
+
+    /**
+     * Adds a keyboard shortcut to the map; it is listed in the help dialog (H) and can be rebound with `keymap`
+     * @param {Object} shortcut
+     * @param {string} shortcut.name - Name used in the keymap
+     * @param {Array<string>} shortcut.keys - Key codes (`KeyboardEvent.code`), e.g. `['KeyS']`
+     * @param {string} shortcut.description - Text shown in the help dialog
+     * @param {Function} shortcut.handler - Called with the keydown event
+     * @example
+     * picker.addShortcut({ name: 'save', keys: ['KeyS'], description: 'Save and close', handler: (e) => {
+     *     e.preventDefault();
+     *     saveAndClose();
+     * } });
+     */
+    addShortcut(shortcut) {
+        this.#shortcuts = this.#shortcuts.filter(({ name }) => name !== shortcut.name).concat(shortcut);
+        this.#keyboard?.addShortcut(shortcut);
+    }
+
+    get mode() { return this.getAttribute('mode') || 'point'; }
+    get multiple() { return this.hasAttribute('multiple'); }
+    get maxMarkers() { return parseInt(this.getAttribute('max-markers')) || Infinity; }
+
+    // The placed markers as { lat, lng, address, addressComponents }
+    get markers() {
+        return this.#markerEntries.map(({ location: [lat, lng], address, addressComponents }) => ({ lat, lng, address, addressComponents }));
+    }
+
+    // A marker's [lat, lng] with the longitude normalized to [-180, 180], kept from where it was placed or dropped
+    // (the marker itself stays on the copy of the world where it was placed, shifting it back would add rounding errors)
+    #markerLocation(marker) {
+        return this.#markerEntries.find(entry => entry.marker === marker).location;
+    }
+
+    // Confirmed locations (from `marker-coordinates`, separated by `;` in `multiple` mode) as [lat, lng]
+    #confirmedLocations() {
+        return this.#parseLocations(this.getAttribute('marker-coordinates'));
+    }
+
+    // Parse locations separated by `;` (in any format `parseCoordinates()` reads) into [lat, lng],
+    // skipping invalid ones (and 📡 dispatching `map-picker-error` for them if `report` is set)
+    #parseLocations(value, report = false) {
+        return csvToArray(value ?? '', ';').flatMap(text => {
+            try {
+                return [parseCoordinates(text)];
+            } catch (error) {
+                // `circle` mode appends the radius: `latitude,longitude,radius`
+                const [, coordinates, radius] = (this.mode === 'circle' && text.match(/^(.+),\s*(\d+(?:\.\d+)?)$/)) || [];
+                if (coordinates) {
+                    try { return [[...parseCoordinates(coordinates), Number(radius)]]; } catch {}
+                }
+                if (report) this.#dispatchError('invalid-coordinates', error.message, { value: text });
+                return [];
+            }
+        });
+    }
+
+    #initialCoordinates() {
+        const DEFAULT = [39.8283, -98.5795]; // USA center
+        if (!this.hasAttribute('initial-coordinates')) return DEFAULT;
+        try {
+            return parseCoordinates(this.getAttribute('initial-coordinates'));
+        } catch (error) {
+            console.warn(`map-picker.js: invalid initial-coordinates (${error.message})`);
+            return DEFAULT;
+        }
+    }
+
+    // The radius limits of `circle` mode in meters
+    get #radiusLimits() {
+        return {
+            minRadius: parseFloat(this.getAttribute('min-radius')) || 0,
+            maxRadius: parseFloat(this.getAttribute('max-radius')) || Infinity
+        };
+    }
+
+    // The drawer class of the current drawing mode (null in `point` mode)
+    get #Drawer() { return drawingModes[this.mode] ?? null; }
+
+    // Coordinates of the placed markers (or the drawn shape) in the `marker-coordinates` format
+    #placedCoordinates() {
+        if (this.#drawer) return this.#drawer.locations.map(locationString).join(';');
+        return this.#markerEntries.map(({ location }) => locationString(location)).join(';');
+    }
+
+    formResetCallback() {
+        this.resetMap();
+    }
+
+    // Called by the browser on back/forward navigation and autofill
+    formStateRestoreCallback(state) {
+        if (state instanceof FormData) {
+            this.value = state.getAll(this.name);
+            this.#confirmedAddresses = state.getAll(this.getAttribute('address-name')).map(address => address || null);
+            this.#updateFormValue();
+        } else {
+            this.value = state;
+        }
+    }
+
+    // Submit the confirmed coordinates under `name` (and the addresses under `address-name`)
+    #updateFormValue() {
+        this.#updateValidity();
+        const locations = this.#confirmedLocations().map(locationString);
+        if (!locations.length) return this.internals.setFormValue(null);
+
+        if (this.#Drawer) return this.internals.setFormValue(this.#Drawer.toValue(this.#confirmedLocations()));
+
+        const addressName = this.getAttribute('address-name');
+        if (!this.name || (!this.multiple && !addressName)) return this.internals.setFormValue(locations.join(';'));
+
+        // One entry per location (like a <select multiple>), each followed by its address
+        const data = new FormData();
+        locations.forEach((coordinates, i) => {
+            data.append(this.name, coordinates);
+            if (addressName) data.append(addressName, this.#confirmedAddresses[i] ?? '');
+        });
+        this.internals.setFormValue(data, data);
+    }
+
+    // Constraint validation API (mirrors native inputs)
+    get validity() { return this.internals.validity; }
+    get validationMessage() { return this.internals.validationMessage; }
+    get willValidate() { return this.internals.willValidate; }
+    checkValidity() { return this.internals.checkValidity(); }
+    reportValidity() { return this.internals.reportValidity(); }
+
+    #updateValidity() {
+        const error = this.#validateAll(this.#confirmedLocations(), this.#confirmedAddresses);
+        if (error) this.internals.setValidity({ [error.flag]: true }, error.message);
+        else this.internals.setValidity({});
+    }
+
+    // Returns the first constraint that any of the locations (or an empty selection) fails
+    #validateAll(locations, addresses) {
+        if (!locations.length) return this.#validate(null);
+        return locations.map((coords, i) => this.#validate(coords, addresses[i])).find(Boolean) ?? null;
+    }
+
+    // Returns the first constraint (`required`, `within-bounds`, `min-radius`/`max-radius`, `require-address`) a location fails
+    #validate(coords, address) {
+        if (!coords) return this.hasAttribute('required')
+            ? { flag: 'valueMissing', message: this.#l10n.t('selectLocation') }
+            : null;
+
+        if (this.hasAttribute('within-bounds')) {
+            const [lat, lng] = coords;
+            const [south, west, north, east] = csvToArray(this.getAttribute('within-bounds')).map(Number);
+            // Bounds crossing the antimeridian have west > east (e.g. `-50,165,-30,-175`)
+            const outsideLng = west <= east ? lng < west || lng > east : lng < west && lng > east;
+            if (lat < south || lat > north || outsideLng) {
+                return { flag: 'rangeOverflow', message: this.#l10n.t('outsideBounds') };
+            }
+        }
+
+        // The radius of `circle` mode (e.g. set through `value`, which the circle on the map is limited to)
+        const [, , radius] = coords;
+        if (this.mode === 'circle' && radius !== undefined) {
+            const { minRadius, maxRadius } = this.#radiusLimits;
+            if (radius < minRadius) {
+                return { flag: 'rangeUnderflow', message: this.#l10n.t('radiusTooSmall', { radius: formatDistance(minRadius, this.#l10n) }) };
+            }
+            if (radius > maxRadius) {
+                return { flag: 'rangeOverflow', message: this.#l10n.t('radiusTooLarge', { radius: formatDistance(maxRadius, this.#l10n) }) };
+            }
+        }
+
+        if (this.hasAttribute('require-address') && !this.#Drawer && !address) {
+            return { flag: 'badInput', message: this.#l10n.t('addressRequired') };
+        }
+
+        return null;
+    }
+
+    #confirmedIndex(lat, lng) {
+        return this.#confirmedLocations().findIndex(([confirmedLat, confirmedLng]) =>
+            confirmedLat === lat && confirmedLng === lng
+        );
+    }
+
+    // Show a message inside the map (announced by screen readers), or clear it when empty
+    #showMessage(text = '') {
+        if (!this.#messageElement) {
+            this.#messageElement = document.createElement('div');
+            this.#messageElement.className = 'map-picker-message';
+            this.#messageElement.role = 'alert';
+            this.append(this.#messageElement);
+        }
+        this.#messageElement.textContent = text;
     }
 
     #determineHost() {
@@ -54,14 +306,20 @@ export default class MapPicker extends HTMLElement {
     connectedCallback() {
         this.ariaBusy = true; // Initially busy while loading
 
-        // Load Leaflet first, then initialize
-        import(`${BASE_URL}${LEAFLET_SCRIPT}`).then(module => {
-            Leaflet = module;
-            this.#init();
-        }).catch(error => console.error('Failed to load Leaflet:', error));
+        // Wait a microtask so MapPicker.configure() can still be called right after importing this module
+        Promise.resolve().then(() => {
+            // Load Leaflet first, then initialize
+            loadLeaflet().then(() => this.#init())
+                .catch(error => console.error('Failed to load Leaflet:', error));
+
+            // Add the Leaflet CSS stylesheet
+            if (leafletConfig.leafletCss) this.addStylesheet(leafletConfig.leafletCss);
+        });
+    }
 
-        // Add the Leaflet CSS stylesheet
-        this.addStylesheet(`${BASE_URL}${LEAFLET_STYLESHEET}`);
+    disconnectedCallback() {
+        this.#windowListeners?.abort();
+        this.#markerEntries.forEach(({ controller }) => controller?.abort()); // Drop the queued lookups
     }
 
     addStylesheet(path) {
@@ -79,6 +337,7 @@ export default class MapPicker extends HTMLElement {
     }
 
     #init() {
+        this.geocoder = this.#createGeocoder();
         this.#setupMap();
         this.#setupIntersectionObserver();
         this.#setupEventListeners();
@@ -86,7 +345,7 @@ export default class MapPicker extends HTMLElement {
 
     #setupMap() {
         // Set the default icon path for Leaflet
-        Leaflet.Icon.Default.prototype.options.imagePath = `${BASE_URL}images/`;
+        Leaflet.Icon.Default.prototype.options.imagePath = leafletConfig.imagePath;
 
         // Create map without default zoom control
         this.map = new Leaflet.Map(this, {
@@ -95,16 +354,138 @@ export default class MapPicker extends HTMLElement {
         // Add zoom control to the right side
         new Leaflet.Control.Zoom({ position: 'topright' }).addTo(this.map);
 
-        const tileUrl = 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
-        const attribution = MapPicker.#mapAttribution();
-        const tileLayer = new Leaflet.TileLayer(tileUrl, {maxZoom: 19, attribution: attribution});
-        this.#setAriaBusyWhenLoading(tileLayer);
+        this.#setupLayers();
 
-        this.map.addLayer(tileLayer);
+        if (this.hasAttribute('search')) this.#setupSearch();
+        if (this.hasAttribute('locate')) {
+            setupLocateControl(this.map, () => this.locate(), this.getAttribute('locate') || this.#l10n.t('locate'));
+        }
+
+        if (this.#Drawer) {
+            this.#drawer = new this.#Drawer(this.map, () => this.#dispatchShapeEvent('map-picker-shape-change'), {
+                l10n: this.#l10n,
+                ...this.#radiusLimits
+            });
+        }
 
         this.#inheritMarkerCoordinates();
     }
 
+    #setupLayers() {
+        const baseLayers = {};
+        const overlays = {};
+        this.#tileLayerConfigs().forEach(({ name, overlay, url, attribution, ...options }) => {
+            // Base layers also credit the geocoder and Leaflet
+            if (!overlay) attribution = MapPicker.#mapAttribution(attribution, this.geocoder.provider.attribution);
+            const tileLayer = new Leaflet.TileLayer(url, { ...options, attribution });
+            this.#setAriaBusyWhenLoading(tileLayer);
+            (overlay ? overlays : baseLayers)[name] = tileLayer;
+        });
+
+        // Show the base layer last chosen on this page (or the first one) and all overlays
+        const names = Object.keys(baseLayers);
+        const storedLayer = this.#storedLayer();
+        this.activeLayer = names.includes(storedLayer) ? storedLayer : names[0] ?? null;
+        if (this.activeLayer) this.map.addLayer(baseLayers[this.activeLayer]);
+        Object.values(overlays).forEach(layer => this.map.addLayer(layer));
+
+        this.map.on('baselayerchange', ({ name }) => {
+            this.activeLayer = name;
+            this.#storedLayer(name);
+        });
+
+        if (names.length < 2 && !Object.keys(overlays).length) return; // Nothing to switch
+        const control = new Leaflet.Control.Layers(baseLayers, overlays, { position: 'topright' }).addTo(this.map);
+        // Let arrow keys and Space operate the radios/checkboxes instead of panning the map or placing a marker
+        Leaflet.DomEvent.on(control.getContainer(), 'keydown', (e) => {
+            if (e.target.matches('input')) Leaflet.DomEvent.stopPropagation(e);
+        });
+    }
+
+    // Get (or set) the name of the base layer last chosen on this page
+    #storedLayer(name) {
+        const key = `map-picker-layer:${location.pathname}${this.id ? `#${this.id}` : ''}`;
+        try {
+            if (name) localStorage.setItem(key, name);
+            return localStorage.getItem(key);
+        } catch {
+            return null; // Storage is not available (e.g. blocked by privacy settings)
+        }
+    }
+
+    // Tile layers from <map-picker-layer> children, the `layers` presets or the tile-* attributes (OSM by default)
+    #tileLayerConfigs() {
+        if (this.hasAttribute('layers')) {
+            return csvToArray(this.getAttribute('layers'))
+                .filter(preset => preset in MapPicker.#layerPresets
+                    || console.warn(`map-picker.js: unknown layer preset "${preset}"`))
+                .map(preset => ({ ...MapPicker.#layerPresets[preset], name: this.#l10n.t(preset) }));
+        }
+
+        const layers = [...this.querySelectorAll(':scope > map-picker-layer')].map(el => ({
+            el, url: el.getAttribute('url'), attribution: el.getAttribute('attribution')
+        }));
+        if (!layers.length) layers.push({
+            el: this, url: this.getAttribute('tile-url'), attribution: this.getAttribute('tile-attribution')
+        });
+
+        return layers.map(({ el, url, attribution }, i) => {
+            const config = {
+                name: (el !== this && el.getAttribute('name')) || `Layer ${i + 1}`,
+                overlay: el !== this && el.hasAttribute('overlay'),
+                url: url || 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+                attribution: attribution ?? (url ? '' : MapPicker.#osmAttribution()),
+                maxZoom: parseInt(el.getAttribute('max-zoom')) || 19
+            };
+            // Subdomains as a list ("a1,a2,a3") or as single letters ("abc")
+            const subdomains = el.getAttribute('subdomains');
+            if (subdomains) config.subdomains = subdomains.includes(',') ? csvToArray(subdomains) : subdomains;
+            return config;
+        });
+    }
+
+    // Reverse geocoder for the provider named in the `geocoder` attribute (Nominatim by default)
+    #createGeocoder() {
+        const name = this.getAttribute('geocoder') || 'nominatim';
+        const options = {};
+        if (this.hasAttribute('geocoder-url')) options.url = this.getAttribute('geocoder-url');
+        if (this.hasAttribute('geocoder-key')) options.apiKey = this.getAttribute('geocoder-key');
+        if (this.hasAttribute('geocoder-email')) options.email = this.getAttribute('geocoder-email');
+        const precision = parseInt(this.getAttribute('geocoder-precision'));
+        if (precision >= 0) options.precision = Math.min(precision, 15);
+        try {
+            return getGeocoder(name, options);
+        } catch (error) {
+            console.warn(`map-picker.js: ${error.message}, falling back to Nominatim`);
+            return getGeocoder('nominatim', { precision: options.precision });
+        }
+    }
+
+    #setupSearch() {
+        const { provider } = this.geocoder;
+        if (!provider.search) return console.warn('map-picker.js: the geocoder does not support searching');
+
+        setupSearchControl(this.map, {
+            search: (query, signal) => {
+                // Pasted coordinates are shown as the only result (without asking the geocoder)
+                try {
+                    const [lat, lng] = parseCoordinates(query);
+                    return [{ label: formatCoordinates(lat, lng).decimal, lat, lng }];
+                } catch {
+                    return provider.search(query, { signal, language: this.#l10n.lang });
+                }
+            },
+            select: (result) => {
+                // Stay on the copy of the world in view
+                const offset = nearestLongitude(result.lng, this.map.getCenter().lng) - result.lng;
+                this.#placeMarker(result.lat, result.lng, { source: 'search' }, result.lng + offset);
+                // Fly after placing the marker so the popup's auto-pan doesn't interrupt the animation
+                if (result.bounds) this.map.flyToBounds(result.bounds.map(([lat, lng]) => [lat, lng + offset]), { maxZoom: 17 });
+                else this.map.flyTo([result.lat, result.lng + offset], 17);
+            }
+        }, this.getAttribute('search') || this.#l10n.t('search'), this.#l10n);
+    }
+
     #inheritMarkerCoordinates() {
         // move attribute 'marker-coordinates' from mapWrapper to this component
         if (!this.mapWrapper.hasAttribute('marker-coordinates')) return;
@@ -123,24 +504,36 @@ export default class MapPicker extends HTMLElement {
     }
 
     #refreshMarker() {
-        if (!this.hasAttribute('marker-coordinates')) return;
-        const coords = csvToArray(this.getAttribute('marker-coordinates')).map(Number);
-        this.setMarker(coords[0], coords[1]);
-        this.map.setView(coords, 12);
+        const locations = this.#confirmedLocations();
+        if (!locations.length) return;
+        this.#setMarkers(locations);
+        this.#showLocations(locations);
+    }
+
+    // Center the map on the location(s)
+    #showLocations(locations) {
+        // On the copy of the world closest to the current view (and without splitting them at the antimeridian)
+        let reference = this.map.getCenter().lng;
+        locations = locations.map(([lat, lng]) => [lat, reference = nearestLongitude(lng, reference)]);
+        if (locations.length > 1) this.map.fitBounds(locations, { maxZoom: 12 });
+        else this.map.setView(locations[0], 12);
     }
 
     #setupEventListeners() {
-        this.map.on('click', (e) => {
-            this.setMarker(e.latlng.lat, e.latlng.lng);
-            this.#dispatchEventWithMarkerData('map-picker-marker-set');
-        });
+        this.map.on('click', (e) => this.#placeMarker(e.latlng.lat, e.latlng.lng));
 
-        setupKeyboardControls(this.map.getContainer(), this.map, {
-            setMarker: (lat, lng) => this.setMarker(lat, lng),
+        this.#keyboard = setupKeyboardControls(this.map.getContainer(), this.map, {
+            setMarker: (lat, lng) => this.#placeMarker(lat, lng),
             resetMap: () => this.resetMap(),
             confirmLocation: () => this.confirmLocation[0]?.click(),
-            markerSetEvent: () => this.#dispatchEventWithMarkerData('map-picker-marker-set')
+            locate: this.hasAttribute('locate') ? () => this.locate() : undefined,
+            shortcuts: this.#drawer?.shortcuts // e.g. resizing the circle in `circle` mode
+        }, this.#l10n, {
+            keymap: this.#keymap,
+            panStep: parseInt(this.getAttribute('pan-step')) || undefined,
+            homeZoom: parseInt(this.getAttribute('home-zoom')) || undefined
         });
+        this.#shortcuts.forEach(shortcut => this.#keyboard.addShortcut(shortcut));
 
         this.confirmLocation?.forEach(el => {
             el.addEventListener('click', (e) => this.handleConfirm(e));
@@ -155,43 +548,240 @@ export default class MapPicker extends HTMLElement {
 
         // 📡 Listen for the map-picker-reset event
         this.host.addEventListener('map-picker-reset', () => { this.resetMap() });
+
+        // Show whether the addresses being looked up wait for the connection to come back
+        const updateLoadingPopups = () => this.#markerEntries
+            .filter(entry => entry.loading)
+            .forEach(({ marker }) => marker.setPopupContent(this.#popupContent(marker, isOffline() ? { pending: true } : { loading: true })));
+        this.#windowListeners = new AbortController();
+        const { signal } = this.#windowListeners;
+        window.addEventListener('online', updateLoadingPopups, { signal });
+        window.addEventListener('offline', updateLoadingPopups, { signal });
+    }
+
+    // Place a marker where the user clicked, pressed Space or picked a search result and 📡 notify
+    // (shown at `displayLng` when it was shifted onto the copy of the world in view).
+    // Returns false if nothing was placed (e.g. at `max-markers`)
+    #placeMarker(lat, lng, extra = {}, displayLng = lng) {
+        this.#clearAccuracy();
+        if (this.#drawer) return this.#drawer.place(lat, displayLng); // e.g. add a polygon vertex
+        if (this.multiple && this.#markerEntries.length >= this.maxMarkers) {
+            this.#showMessage(this.#l10n.t('maxMarkers', { count: this.maxMarkers }));
+            return false;
+        }
+        this.#addMarker(lat, lng, displayLng);
+        this.#dispatchEventWithMarkerData(this.multiple ? 'map-picker-marker-add' : 'map-picker-marker-set', extra);
+        return true;
     }
 
-    handleConfirm(e) {
-        if (!this.marker) return alert('Please select a location on the map first.');
+    // Place the marker at the device's location (Geolocation API) and 📡 notify (or dispatch `map-picker-locate-error`)
+    async locate() {
+        if (!this.map) return;
+
+        let position;
+        try {
+            position = await getCurrentPosition({ enableHighAccuracy: true, timeout: 10000, maximumAge: 30000 });
+        } catch (error) {
+            const code = ['unsupported', 'permission-denied', 'position-unavailable', 'timeout'][error.code] ?? 'position-unavailable';
+            this.#showMessage(this.#l10n.t(code === 'permission-denied' ? 'locationDenied' : 'locationUnavailable'));
+            this.host.dispatchEvent(new MapPickerErrorEvent('map-picker-locate-error', code, error.message));
+            return;
+        }
+
+        const { latitude: lat, accuracy } = position.coords;
+        const lng = nearestLongitude(position.coords.longitude, this.map.getCenter().lng); // On the copy of the world in view
+        if (!this.#placeMarker(lat, position.coords.longitude, { accuracy, source: 'geolocation' }, lng)) return;
+        this.#accuracyCircle = new Leaflet.Circle([lat, lng], {
+            radius: accuracy, className: 'map-picker-accuracy', interactive: false
+        }).addTo(this.map);
+        this.map.fitBounds(this.#accuracyCircle.getBounds(), { maxZoom: 17 });
+    }
+
+    #clearAccuracy() {
+        this.#accuracyCircle?.remove();
+        this.#accuracyCircle = null;
+    }
+
+    async handleConfirm(e) {
+        if (this.#drawer) return this.#confirmShape();
+        if (!this.#markerEntries.length) return this.#showMessage(this.#l10n.t('selectLocation'));
+
+        // Wait for the address(es) if they are required to confirm the location(s) (not while offline)
+        if (this.hasAttribute('require-address') && !isOffline()) await Promise.all(this.#markerEntries.map(entry => entry.lookup));
+
+        const locations = this.#markerEntries.map(({ location }) => location);
+        const addresses = this.#markerEntries.map(({ address }) => address);
+        const error = this.#validateAll(locations, addresses);
+        if (error) return this.#showMessage(error.message);
+        this.#showMessage(); // Clear any previous message
 
-        const { lat, lng } = this.marker.getLatLng();
-        this.setAttribute('marker-coordinates', `${lat},${lng}`);
-        this.map.setView([lat, lng], 12);
+        this.setAttribute('marker-coordinates', this.#placedCoordinates());
+        this.#confirmedAddresses = addresses;
+        this.#updateFormValue(); // With the addresses
+        this.#showLocations(locations);
 
         // 📡 Dispatch a custom event to notify that the location has been confirmed
         this.#dispatchEventWithMarkerData('map-picker-confirm');
         // this.confirmLocation?.forEach(el => el.ariaBusy = true);
     }
 
+    // Confirm the shape drawn in a drawing mode
+    #confirmShape() {
+        const drawer = this.#drawer;
+        if (!drawer.complete) return this.#showMessage(this.#l10n.t(this.#Drawer.incompleteMessage));
+        drawer.finish(); // e.g. close the polygon's ring
+
+        const locations = drawer.locations;
+        const error = this.#validateAll(locations, []);
+        if (error) return this.#showMessage(error.message);
+        this.#showMessage(); // Clear any previous message
+
+        this.setAttribute('marker-coordinates', this.#placedCoordinates());
+        this.#showLocations(locations);
+
+        // 📡 Dispatch a custom event to notify that the shape has been confirmed
+        this.#dispatchShapeEvent('map-picker-confirm');
+    }
+
     async setMarker(lat, lng, showPopup = true) {
-        if (!Leaflet) return; // ! Leaflet is not loaded
+        return this.#addMarker(lat, lng, lng, showPopup);
+    }
+
+    // Set a marker for [lat, lng], shown at `displayLng` (e.g. the same longitude on the copy of the world in view)
+    async #addMarker(lat, lng, displayLng, showPopup = true) {
+        if (!this.map) return; // ! Leaflet (or the map) is not loaded yet
+
+        this.#showMessage(); // A new location clears any previous message
 
-        // Set marker at given coordinates and fetch address
-        if (this.marker) this.map.removeLayer(this.marker);
-        this.marker = new Leaflet.Marker([lat, lng]).addTo(this.map);
+        // Set marker at given coordinates (replacing the previous one unless `multiple`) and fetch address
+        if (!this.multiple) this.#clearMarkers();
+        const draggable = this.hasAttribute('draggable-marker');
+        const marker = this.marker = new Leaflet.Marker([lat, displayLng], { draggable }).addTo(this.map);
+        const location = [lat, normalizeLongitude(lng)];
+        const entry = { marker, location, address: null, addressComponents: null, lookup: null, controller: null, token: null, loading: false };
+        this.#markerEntries.push(entry);
+        if (draggable) this.#setupMarkerDragging(entry);
 
         // Show popup with loading state
-        const popup = this.marker.bindPopup(MapPicker.#createPopup({ loading: true }));
+        const popup = marker.bindPopup(this.#popupContent(marker, { loading: true }));
         if (showPopup) popup.openPopup();
 
-        // Get address and update popup
-        const address = await getAddressFromCoordinates(lat, lng);
-        this.address = address || null;
-        this.marker.setPopupContent(MapPicker.#createPopup({ address, coordinates: { lat, lng } }));
+        await this.#lookupAddress(entry);
     }
 
-    resetMap() {
-        if (this.marker) this.map.removeLayer(this.marker);
+    // Get the address of a marker's location, update its popup and 📡 notify
+    async #lookupAddress(entry) {
+        const { marker, location: [lat, lng] } = entry;
+        const token = entry.token = ++this.#placementCount; // Identifies this placement of the marker
+        entry.controller?.abort(); // The marker was dragged elsewhere before the previous address arrived
+        const controller = entry.controller = new AbortController();
+        entry.loading = true;
+        // Offline, the lookup waits in the geocoder's queue until the connection is back
+        if (isOffline()) marker.setPopupContent(this.#popupContent(marker, { pending: true }));
+        entry.lookup = this.geocoder
+            .lookup(lat, lng, { language: this.#l10n.lang, signal: controller.signal })
+            .then(result => ({ result }), error => ({ error }));
+        const { result, error } = await entry.lookup;
+        // Ignore the address if the marker was moved again or removed (or the element) in the meantime
+        if (entry.token !== token || !this.#markerEntries.includes(entry) || controller.signal.aborted) return;
+        entry.loading = false;
+        if (error) {
+            // Show that the address could not be loaded (rather than just the coordinates) and 📡 notify
+            marker.setPopupContent(this.#popupContent(marker, { error: true }));
+            return this.#dispatchError('geocoding-failed', error.message, { lat, lng });
+        }
+        const address = result?.address;
+        entry.address = address || null;
+        entry.addressComponents = result?.components || null;
+        if (this.marker === marker) {
+            this.address = entry.address;
+            this.addressComponents = entry.addressComponents;
+        }
+        marker.setPopupContent(this.#popupContent(marker, { address, coordinates: { lat, lng } }));
+
+        // The address of a confirmed location arrived late (e.g. restored or confirmed while loading)
+        const index = this.#confirmedIndex(lat, lng);
+        if (entry.address && index >= 0 && !this.#confirmedAddresses[index]) {
+            this.#confirmedAddresses[index] = entry.address;
+            this.#updateFormValue();
+        }
+
+        // 📡 Dispatch a custom event to notify that the marker's address is known (null if none was found)
+        this.#dispatchEventWithMarkerData('map-picker-address-resolved', {}, entry);
+    }
+
+    // 📡 Notify while a marker is dragged, then look up the address where it was dropped
+    #setupMarkerDragging(entry) {
+        const { marker } = entry;
+        marker.on('dragstart', () => {
+            marker.closePopup();
+            this.#showMessage();
+            entry.address = entry.addressComponents = null; // The address no longer matches
+            if (this.marker === marker) this.address = this.addressComponents = null;
+        });
+        const updateLocation = () => {
+            const { lat, lng } = marker.getLatLng();
+            entry.location = [lat, normalizeLongitude(lng)];
+        };
+        marker.on('drag', () => {
+            updateLocation();
+            this.#dispatchEventWithMarkerData('map-picker-marker-drag', {}, entry);
+        });
+        marker.on('dragend', () => {
+            updateLocation();
+            marker.setPopupContent(this.#popupContent(marker, { loading: true })).openPopup();
+            this.#lookupAddress(entry);
+            this.#dispatchEventWithMarkerData('map-picker-marker-set', {}, entry);
+        });
+    }
+
+    // Replace the placed markers with markers at the given [lat, lng] locations
+    #setMarkers(locations) {
+        if (!this.map) return;
+        if (this.#drawer) return this.#drawer.setLocations(locations);
+        this.#clearMarkers();
+        const { lng: centerLng } = this.map.getCenter(); // Place them on the copy of the world in view
+        locations.forEach(([lat, lng]) => this.#addMarker(lat, lng, nearestLongitude(lng, centerLng)));
+    }
+
+    // Remove one of the placed markers and 📡 notify
+    removeMarker(marker) {
+        const index = this.#markerEntries.findIndex(entry => entry.marker === marker);
+        if (index < 0) return;
+
+        const [entry] = this.#markerEntries.splice(index, 1);
+        entry.controller?.abort(); // Its address is no longer needed
+        this.map.removeLayer(marker);
+        const last = this.#markerEntries.at(-1);
+        this.marker = last?.marker ?? null;
+        this.address = last?.address ?? null;
+        this.addressComponents = last?.addressComponents ?? null;
+
+        this.#dispatchEventWithMarkerData('map-picker-marker-remove', {}, entry);
+    }
+
+    #clearMarkers() {
+        this.#markerEntries.forEach(({ marker, controller }) => {
+            controller?.abort(); // Drops the lookup if it is still queued
+            this.map.removeLayer(marker);
+        });
+        this.#markerEntries = [];
         this.marker = null; // Clear marker reference
         this.address = null; // Clear the address
+        this.addressComponents = null;
+    }
+
+    resetMap() {
+        if (this.map) this.#clearMarkers();
+        this.#drawer?.clear();
+        this.#clearAccuracy();
+        this.#confirmedAddresses = [];
+        this.#showMessage(); // Clear any validation message
         this.removeAttribute('marker-coordinates'); // Clean up attribute
-        this.map.setView(this.initialCoords, this.initialZoom);
+        if (this.map) { // Map may not be loaded yet (form reset)
+            const [lat, lng] = this.initialCoords;
+            this.map.setView([lat, nearestLongitude(lng, this.map.getCenter().lng)], this.initialZoom);
+        }
         // this.map.getContainer().focus();
     }
 
@@ -207,64 +797,218 @@ export default class MapPicker extends HTMLElement {
         });
     }
 
-    // Dispatch a custom event with marker data
-    #dispatchEventWithMarkerData(evName) {
-        if (!this.marker) return;
-        const lat = this.marker.getLatLng().lat.toFixed(6);
-        const lng = this.marker.getLatLng().lng.toFixed(6);
+    // Dispatch a custom event with marker data (and any extra properties, e.g. `source`)
+    #dispatchEventWithMarkerData(evName, extra = {}, entry = this.#markerEntries.at(-1)) {
+        if (this.#drawer) return this.#dispatchShapeEvent(evName);
+        if (!entry) return;
+        const [lat, lng] = entry.location.map(coord => coord.toFixed(6));
+        // In `multiple` mode events also carry the full set of markers
+        const markers = this.multiple && this.markers.map(({ lat, lng, address, addressComponents }) => ({
+            lat: lat.toFixed(6), lng: lng.toFixed(6), address, addressComponents
+        }));
+        const coordinates = formatCoordinates(...entry.location);
         this.host.dispatchEvent(new MarkerDataEvent(
-            evName, lat, lng, this.address || null 
+            evName, lat, lng, entry.address || null,
+            { addressComponents: entry.addressComponents, coordinates, layer: this.activeLayer, ...(markers && { markers }), ...extra }
         ));
     }
 
+    // 📡 Dispatch a `map-picker-error` event (e.g. for invalid coordinates)
+    #dispatchError(code, message, extra = {}) {
+        this.host.dispatchEvent(new MapPickerErrorEvent('map-picker-error', code, message, extra));
+    }
+
+    // Dispatch a custom event with the drawn shape's data (its center as `lat` and `lng`)
+    #dispatchShapeEvent(evName) {
+        const locations = this.#drawer.locations;
+        if (!locations.length) return;
+        const [lat, lng] = this.#Drawer.center(locations).map(coord => coord.toFixed(6));
+        this.host.dispatchEvent(new MarkerDataEvent(
+            evName, lat, lng, null,
+            { mode: this.mode, layer: this.activeLayer, ...this.#Drawer.toData(locations) }
+        ));
+    }
+
+    // Popup content for a marker, with a "Remove" button in `multiple` mode
+    #popupContent(marker, options) {
+        const [lat, lng] = this.#markerLocation(marker);
+        const html = MapPicker.#createPopup({
+            ...options,
+            coordinates: { lat, lng },
+            format: this.getAttribute('coordinate-format'),
+            l10n: this.#l10n
+        });
+        if (!this.multiple) return html;
+
+        const content = document.createElement('div');
+        content.innerHTML = html;
+        const button = document.createElement('button');
+        Object.assign(button, { type: 'button', className: 'map-picker-remove', textContent: this.#l10n.t('remove') });
+        button.addEventListener('click', () => this.removeMarker(marker));
+        content.append(button);
+        return content;
+    }
+
     // Unified popup template method
-    static #createPopup({ loading = false, address = null, coordinates = null }) {
+    static #createPopup({ loading = false, pending = false, address = null, error = false, coordinates = null, format = null, l10n }) {
         const content = loading 
-            ? MapPicker.#loadingTemplate()
+            ? MapPicker.#loadingTemplate(l10n)
             : address 
-                ? MapPicker.#addressTemplate(address)
-                : MapPicker.#coordinatesTemplate(coordinates.lat, coordinates.lng);
+                ? MapPicker.#addressTemplate(address, l10n)
+                : (pending ? MapPicker.#pendingTemplate(l10n) : error ? MapPicker.#errorTemplate(l10n) : '') +
+                    (format ? '' : MapPicker.#coordinatesTemplate(coordinates.lat, coordinates.lng, l10n));
+        // With a `coordinate-format` the coordinates are always shown (in that format)
+        const formatted = format ? MapPicker.#formattedCoordinatesTemplate(coordinates.lat, coordinates.lng, format, l10n) : '';
     
-        return `<div class="popup-address" aria-live="polite">${content}</div>`;
+        return `<div class="popup-address" aria-live="polite">${content}${formatted}</div>`;
     }
 
-    static #loadingTemplate() {
+    static #loadingTemplate(l10n) {
         return `
-            <strong>Address:</strong>
-            <div aria-busy="true" class="muted">loading...</div>
+            <strong>${l10n.t('address')}</strong>
+            <div aria-busy="true" class="muted">${l10n.t('loading')}</div>
         `;
     }
 
-    static #addressTemplate(address) {
+    static #addressTemplate(address, l10n) {
         return `
-            <strong>Address:</strong>
+            <strong>${l10n.t('address')}</strong>
             <div>${address}</div>
         `;
     }
 
-    static #coordinatesTemplate(lat, lng) {
+    static #pendingTemplate(l10n) {
+        return `
+            <strong>${l10n.t('address')}</strong>
+            <div class="muted map-picker-popup-pending">${l10n.t('addressPending')}</div>
+        `;
+    }
+
+    static #errorTemplate(l10n) {
+        return `
+            <strong>${l10n.t('address')}</strong>
+            <div class="map-picker-popup-error">${l10n.t('addressError')}</div>
+        `;
+    }
+
+    static #coordinatesTemplate(lat, lng, l10n) {
         return `
             <div class="space-between">
-                <strong>Latitude:</strong> <div>${lat.toFixed(6)}</div>
+                <strong>${l10n.t('latitude')}</strong> <div>${l10n.number(lat, 6)}</div>
             </div>
             <div class="space-between">
-                <strong>Longitude:</strong> <div>${lng.toFixed(6)}</div>
+                <strong>${l10n.t('longitude')}</strong> <div>${l10n.number(lng, 6)}</div>
             </div>
         `;
     }
 
-    static #mapAttribution() {
+    static #formattedCoordinatesTemplate(lat, lng, format, l10n) {
+        const formatted = formatCoordinates(lat, lng);
+        // Decimal degrees in the language's number format, the other formats are standard notations
+        const value = format in formatted && format !== 'decimal'
+            ? formatted[format] ?? '–' // UTM and MGRS don't cover the poles
+            : `${l10n.number(lat, 6)}, ${l10n.number(lng, 6)}`;
+        const label = ['utm', 'mgrs', 'geohash', 'pluscode'].includes(format) ? format : 'coordinates';
+        return `
+            <strong>${l10n.t(label)}</strong>
+            <div>${value}</div>
+        `;
+    }
+
+    // Built-in base layers for the `layers` attribute
+    static #layerPresets = {
+        streets: {
+            name: 'Streets',
+            url: 'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png',
+            attribution: MapPicker.#osmAttribution(),
+            maxZoom: 19
+        },
+        satellite: {
+            name: 'Satellite',
+            url: 'https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}',
+            attribution: 'Imagery &copy; <a target="_blank" href="https://www.esri.com">Esri</a>, Maxar, Earthstar Geographics',
+            maxZoom: 19
+        },
+        topo: {
+            name: 'Topo',
+            url: 'https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png',
+            attribution: `${MapPicker.#osmAttribution()}, SRTM | Style &copy;
+                <a target="_blank" href="https://opentopomap.org">OpenTopoMap</a> (CC-BY-SA)`,
+            maxZoom: 17
+        }
+    };
+
+    static #osmAttribution() {
         return `&copy;
             <a target="_blank" title="Open Street Maps"
                 href="https://www.openstreetmap.org/copyright"
-            >OSM</a> contributors |
-            Geocoding by <a target="_blank" href="https://nominatim.org">Nominatim</a> |
+            >OSM</a> contributors`
+    }
+
+    static #mapAttribution(tileAttribution, geocoderAttribution) {
+        return `${tileAttribution ? `${tileAttribution} |` : ''}
+            ${geocoderAttribution ? `Geocoding by ${geocoderAttribution} |` : ''}
             <a target="_blank" href="https://leafletjs.com" target="_blank"
                 title="A JavaScript library for interactive maps"
             >Leaflet</a>`
     }
 
-    // Statically define the element unless ?define=false is set as an URL param
+    /**
+     * Configures where Leaflet is loaded from. Call it before the first <map-picker> is connected,
+     * e.g. right after importing this module (or import it with `?define=false` and call define() after).
+     * @param {Object} options - Leaflet source options
+     * @param {string} [options.baseUrl] - Folder with Leaflet's dist files (e.g. 'https://unpkg.com/leaflet@1.9.4/dist/')
+     * @param {string} [options.leafletUrl] - URL (or import map specifier) of Leaflet's ES module
+     * @param {string|false} [options.leafletCss] - URL of Leaflet's stylesheet, false if the page already includes it
+     * @param {string} [options.imagePath] - Folder with Leaflet's marker images
+     * @param {Object} [options.leaflet] - An already loaded Leaflet module (or the global `L`)
+     * @example
+     * import * as L from 'leaflet';
+     * MapPicker.configure({ leaflet: L, leafletCss: false, imagePath: '/assets/leaflet/' });
+     */
+    static configure({ baseUrl, ...options } = {}) {
+        if (leafletPromise) console.warn('map-picker.js: Leaflet is already loaded, configure() came too late');
+        if (baseUrl) Object.assign(leafletConfig, leafletFilesIn(baseUrl));
+        Object.assign(leafletConfig, options);
+    }
+
+    /**
+     * Registers a geocoding provider that can be selected with the `geocoder` attribute
+     * @param {string} name - Name used as the value of the `geocoder` attribute
+     * @param {Object|Function} provider - Provider object, or a factory called with `{ url, apiKey, email }`
+     * @example
+     * MapPicker.registerGeocoder('my-backend', ({ url }) => ({
+     *     reverse: async (lat, lng, { signal }) => ({ address: await myLookup(url, lat, lng, signal) })
+     * }));
+     */
+    static registerGeocoder(name, provider) {
+        registerGeocoder(name, provider);
+    }
+
+    /**
+     * The cache of geocoding results shared by all <map-picker>s (and tabs), kept in IndexedDB
+     * @type {GeocoderCache}
+     * @example
+     * MapPicker.geocoderCache.ttl = 24 * 60 * 60 * 1000; // Keep addresses for a day
+     * console.log(await MapPicker.geocoderCache.entries());
+     * await MapPicker.geocoderCache.clear();
+     */
+    static get geocoderCache() {
+        return geocoderCache;
+    }
+
+    /**
+     * Adds a language for the built-in UI strings (picked by the `lang` attribute or the page's language)
+     * @param {string} lang - Language tag, e.g. `de` or `pt-BR`
+     * @param {Object} messages - Messages by key; missing messages fall back to English
+     * @example
+     * MapPicker.addLocale('de', { address: 'Adresse:', loading: 'wird geladen...' });
+     */
+    static addLocale(lang, messages) {
+        addLocale(lang, messages);
+    }
+
+    // Define the element with a custom tag (it is defined as <map-picker> at the end of the module)
     static tag = "map-picker";
     static define(tag = this.tag) {
         this.tag = tag;
@@ -274,31 +1018,219 @@ export default class MapPicker extends HTMLElement {
         if (Boolean(ce) && ce !== this) return console.warn(`<${tag}> already defined as ${ce.name}!`);
         customElements.define(tag, this);
     }
-    static {
-        const tag = new URL(import.meta.url).searchParams.get("define") || this.tag;
-        if (tag !== "false") this.define(tag);
-    }
 }
 
 
 // Custom event to encapsulate marker data
 class MarkerDataEvent extends Event {
-  constructor(eventName, lat, lng, address) {
+  constructor(eventName, lat, lng, address, extra = {}) {
     super(eventName, { bubbles: true, composed: true });
     this.lat = lat;
     this.lng = lng;
     this.address = address;
+    Object.assign(this, extra); // e.g. { addressComponents, source: 'search' }
   }
 }
 // Usage example:
 // el.dispatchEvent(new MarkerDataEvent('map-picker-confirm', lat, lng, address));
 
+class MapPickerErrorEvent extends Event {
+  constructor(eventName, code, message, extra = {}) {
+    super(eventName, { bubbles: true, composed: true });
+    this.code = code; // e.g. 'permission-denied'
+    this.message = message;
+    Object.assign(this, extra); // e.g. { value: '91,0' }
+  }
+}
+// Usage example:
+// el.dispatchEvent(new MapPickerErrorEvent('map-picker-locate-error', 'timeout', error.message));
+
+
+
+
+// Localization.
+
+
+// Built-in UI strings by language (add languages with `MapPicker.addLocale()`).
+// Messages can have `{placeholders}`, and plural forms by `count` (see Intl.PluralRules).
+const locales = {
+    en: {
+        // Popup
+        address: 'Address:',
+        loading: 'loading...',
+        addressError: 'The address could not be loaded.',
+        addressPending: 'Pending: it will be loaded when you are back online.',
+        latitude: 'Latitude:',
+        longitude: 'Longitude:',
+        coordinates: 'Coordinates:',
+        utm: 'UTM:',
+        mgrs: 'MGRS:',
+        geohash: 'Geohash:',
+        pluscode: 'Plus Code:',
+        remove: 'Remove',
+        // Messages
+        selectLocation: 'Please select a location on the map first.',
+        outsideBounds: 'Please select a location inside the allowed area.',
+        radiusTooSmall: 'Please select a radius of at least {radius}.',
+        radiusTooLarge: 'Please select a radius of at most {radius}.',
+        addressRequired: 'Please select a location with a known address.',
+        maxMarkers: { one: 'You can select only one location.', other: 'You can select up to {count} locations.' },
+        polygonIncomplete: 'Please place at least 3 points to outline an area.',
+        circleIncomplete: 'Please select the center of the area first.',
+        bboxIncomplete: 'Please select two opposite corners of the area first.',
+        locationDenied: 'Location access was denied. Please select a location on the map.',
+        locationUnavailable: 'Your location could not be found. Please select a location on the map.',
+        // Controls
+        search: 'Search for an address',
+        searchResults: 'Search results',
+        resultsAvailable: { one: '{count} result available.', other: '{count} results available.' },
+        noResults: 'No results found.',
+        locate: 'Use my location',
+        streets: 'Streets',
+        satellite: 'Satellite',
+        topo: 'Topo',
+        // Drawing modes
+        firstPoint: 'Point 1 (select to close the area)',
+        point: 'Point {number}',
+        center: 'Center',
+        radiusHandle: 'Radius (or press [ and ])',
+        radius: 'r = {radius}',
+        corner: 'Corner {number}',
+        south: 'S',
+        west: 'W',
+        north: 'N',
+        east: 'E',
+        // Keyboard shortcuts (the keys are listed by the help dialog)
+        shortcuts: 'Keyboard shortcuts',
+        close: 'Close',
+        shortcutSpace: 'Place marker at map center',
+        shortcutEnter: 'Confirm location',
+        shortcutZoom: 'Zoom out/in',
+        shortcutPan: 'Pan map',
+        shortcutHome: 'Zoom out to the overview',
+        shortcutReset: 'Reset map',
+        shortcutLocate: 'Use my location',
+        shortcutHelp: 'Show keyboard shortcuts',
+        shortcutRadius: 'Shrink/grow the radius',
+        shortcutFit: 'Fit the box to the current view'
+    }
+};
+
+/**
+ * Adds a language (or changes messages of one)
+ * @param {string} lang - Language tag, e.g. `de` or `pt-BR` (used when it matches the `lang` of the element or the page)
+ * @param {Object} messages - Messages by key (see the `en` locale); missing messages fall back to English
+ * @example
+ * addLocale('de', { address: 'Adresse:', loading: 'wird geladen...' });
+ */
+export function addLocale(lang, messages) {
+    const key = lang.toLowerCase();
+    locales[key] = { ...locales[key], ...messages };
+}
+
+const localizations = new Map(); // Localization by language tag
+
+/**
+ * Gets the (shared) Localization for a language
+ * @param {string} [lang='en'] - Language tag
+ * @returns {Localization} The localization
+ */
+function getLocalization(lang = 'en') {
+    if (!localizations.has(lang)) localizations.set(lang, new Localization(lang));
+    return localizations.get(lang);
+}
+
+/**
+ * Localization translates the built-in UI strings and formats numbers for a language.
+ * Messages are looked up in the language (`de-CH`), then its base language (`de`), then English.
+ * @class
+ */
+class Localization {
+  /**
+   * @param {string} lang - Language tag, e.g. `de-CH` (English if it isn't valid)
+   */
+  constructor(lang) {
+    try {
+      [this.lang] = Intl.getCanonicalLocales(lang);
+    } catch {
+      this.lang = 'en';
+    }
+    this.lang ??= 'en';
+    this.numberFormats = new Map(); // Intl.NumberFormat by number of decimals
+  }
+
+  /**
+   * Get a message with its placeholders filled in
+   * @param {string} key - The message key, e.g. `address`
+   * @param {Object} [params] - Values for the placeholders (`count` also picks the plural form)
+   * @returns {string} The message
+   */
+  t(key, params = {}) {
+    const [language] = this.lang.split('-');
+    let message = [this.lang.toLowerCase(), language, 'en']
+      .map(lang => locales[lang]?.[key])
+      .find(message => message !== undefined) ?? key;
+    if (typeof message === 'object') {
+      message = message[new Intl.PluralRules(this.lang).select(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => params[name] ?? placeholder);
+  }
+
+  /**
+   * Format a number for the language, e.g. 1234.5 → "1,234.50" (en) or "1.234,50" (de)
+   * @param {number} value - The number
+   * @param {number} decimals - Number of decimals
+   * @returns {string} The formatted number
+   */
+  number(value, decimals) {
+    if (!this.numberFormats.has(decimals)) {
+      this.numberFormats.set(decimals, new Intl.NumberFormat(this.lang, {
+        minimumFractionDigits: decimals,
+        maximumFractionDigits: decimals
+      }));
+    }
+    return this.numberFormats.get(decimals).format(value);
+  }
+}
+
 
 
 
 // Utils.
 
 
+/**
+ * Loads Leaflet (once) from the configured source and preloads the marker icon
+ * @returns {Promise<Object>} The Leaflet module
+ */
+function loadLeaflet() {
+    leafletPromise ??= (async () => {
+        // Preload appropriate marker icon based on device pixel ratio
+        new Image().src = window.devicePixelRatio >= 2
+            ? `${leafletConfig.imagePath}marker-icon-2x.png`
+            : `${leafletConfig.imagePath}marker-icon.png`;
+
+        Leaflet = leafletConfig.leaflet ?? await import(leafletConfig.leafletUrl);
+        return Leaflet;
+    })();
+    return leafletPromise;
+}
+
+/**
+ * Gets the URLs of Leaflet's (non-minified) dist files in a folder
+ * @param {string} baseUrl - The folder, e.g. 'https://unpkg.com/leaflet@1.9.4/dist/'
+ * @returns {{leafletUrl: string, leafletCss: string, imagePath: string}} The file URLs
+ */
+function leafletFilesIn(baseUrl) {
+    if (!baseUrl.endsWith('/')) baseUrl += '/';
+    return {
+        leafletUrl: `${baseUrl}leaflet-src.esm.js`,
+        leafletCss: `${baseUrl}leaflet.css`,
+        imagePath: `${baseUrl}images/`
+    };
+}
+
+
 /**
  * Observes an element for intersection with the viewport
  * @param {HTMLElement} element - The element to observe
@@ -316,6 +1248,44 @@ export function observeIntersection(element, callback) {
     )).observe(element);
 }
 
+/**
+ * Normalizes a longitude to the [-180, 180] range (e.g. from a click on a wrapped copy of the world)
+ * @param {number} lng - Longitude in degrees
+ * @returns {number} The longitude of the same meridian between -180 and 180
+ * @example
+ * normalizeLongitude(200); // Returns -160
+ * normalizeLongitude(-300); // Returns 60
+ */
+export function normalizeLongitude(lng) {
+    if (lng >= -180 && lng <= 180) return lng;
+    return ((lng + 180) % 360 + 360) % 360 - 180;
+}
+
+// The copy of a longitude (shifted by whole turns) closest to a reference longitude, e.g. nearestLongitude(-170, 175) → 190
+function nearestLongitude(lng, referenceLng) {
+    return lng + 360 * Math.round((referenceLng - lng) / 360);
+}
+
+// The \`lang\` of an element or of its closest ancestor, also outside the shadow roots it is in (up to the page's <html>)
+function elementLanguage(element) {
+    for (let node = element; node; node = node.getRootNode().host) {
+        const lang = node.closest('[lang]')?.lang;
+        if (lang) return lang;
+    }
+    return document.documentElement.lang;
+}
+
+// A number in decimal notation (`String()` writes tiny numbers like 1e-7 with an exponent, which coordinates can't have)
+function decimalString(number) {
+    if (!/e/i.test(String(number))) return String(number);
+    return number.toFixed(20).replace(/\.?0+$/, '').replace(/^-0$/, '0');
+}
+
+// A [lat, lng] (or [lat, lng, radius]) location in the `marker-coordinates` format, e.g. `40.7128,-74.006`
+function locationString(location) {
+    return location.map(decimalString).join(',');
+}
+
 /**
  * Utility to convert a CSV string into an array of trimmed, non-empty strings
  * @param {string} csvString - The CSV string to convert
@@ -337,153 +1307,751 @@ export function csvToArray(csvString, delimiter = ',') {
 }
 
 /**
- * ReverseGeocoder provides reverse geocoding functionality with caching and debounced requests.
- * 
- * It converts latitude and longitude coordinates into human-readable addresses by querying
- * the Nominatim OpenStreetMap API. To optimize performance and reduce network traffic, it:
+ * GeocoderCache stores geocoding results for a limited time, in memory and in IndexedDB,
+ * so they are shared by all geocoders on the page and survive reloads (and are shared across tabs).
  * 
- * - Caches results for previously requested coordinates.
- * - Debounces rapid requests using a leading call strategy to respond immediately on the first call.
- * - Deduplicates concurrent requests for the same coordinates.
+ * - Entries expire after `ttl` milliseconds.
+ * - Only the `maxEntries` most recent entries are kept (the oldest are removed first).
+ * - Without IndexedDB (or with `persistent` set to false) results are only kept in memory.
+ * - If IndexedDB fails (e.g. the quota is exceeded), the cache warns and keeps results in memory: it never rejects.
  * 
  * @class
  */
-class ReverseGeocoder {
-  constructor() {
-    this.cache = new Map();
-    this.pendingRequests = new Map();
-    this.DEBOUNCE_DELAY = 1000;
+class GeocoderCache {
+  static DB_NAME = 'map-picker';
+  static STORE = 'geocoder-cache';
 
-    this.debounceTimer = null;
-    this.hasExecutedImmediately = false;
-    this.pendingResolvers = [];
-    this.lastArgs = null; // To hold latest lat,lng for trailing call
-  }
+  #memory = new Map(); // { value, time } by key, oldest first
+  #db = null; // Promise of the IndexedDB database (null if not available)
+  #channel = null; // Tells other tabs about cleared entries
 
   /**
-   * Get address from coordinates with leading debounce and caching
-   * @param {number} lat - Latitude
-   * @param {number} lng - Longitude
-   * @returns {Promise<string|null>} Address or null on error
+   * @param {Object} [options]
+   * @param {number} [options.ttl=604800000] - Time to live of an entry in milliseconds (a week)
+   * @param {number} [options.maxEntries=1000] - Maximum number of entries
+   * @param {boolean} [options.persistent=true] - Whether to use IndexedDB
    */
-  async getAddressFromCoordinates(lat, lng) {
-    const cacheKey = `${lat},${lng}`;
-
-    // Return cached result if available
-    if (this.cache.has(cacheKey)) {
-      return this.cache.get(cacheKey);
+  constructor({ ttl = 7 * 24 * 60 * 60 * 1000, maxEntries = 1000, persistent = true } = {}) {
+    this.ttl = ttl;
+    this.maxEntries = maxEntries;
+    this.persistent = persistent;
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.#channel = new BroadcastChannel('map-picker-geocoder-cache');
+      this.#channel.onmessage = ({ data }) => this.#clearMemory(data.prefix);
     }
+  }
 
-    // Return existing promise if request is pending
-    if (this.pendingRequests.has(cacheKey)) {
-      return this.pendingRequests.get(cacheKey);
+  /**
+   * Get a cached value
+   * @param {string} key - The cache key
+   * @returns {Promise<any>} The value, or undefined if it isn't cached (or expired)
+   */
+  async get(key) {
+    let entry = this.#memory.get(key);
+    if (!entry) {
+      entry = await this.#persisted('readonly', store => idbRequest(store.get(key)));
+      if (entry) this.#remember(key, entry);
     }
+    if (!entry) return undefined;
+    if (this.#expired(entry)) {
+      this.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  }
 
-    // If leading call not executed recently, execute immediately
-    if (!this.hasExecutedImmediately) {
-      this.hasExecutedImmediately = true;
+  /**
+   * Cache a value
+   * @param {string} key - The cache key
+   * @param {any} value - The value (must be cloneable)
+   */
+  async set(key, value) {
+    const entry = { key, value, time: Date.now() };
+    this.#remember(key, entry);
+
+    await this.#persisted('readwrite', async store => {
+      store.put(entry);
+      // Remove the oldest entries above the limit
+      const excess = await idbRequest(store.count()) - this.maxEntries;
+      if (excess <= 0) return;
+      let removed = 0;
+      store.index('time').openCursor().onsuccess = ({ target: { result: cursor } }) => {
+        if (!cursor || removed++ >= excess) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    });
+  }
 
-      const immediatePromise = this.#fetchAddress(lat, lng)
-        .then(result => {
-          this.cache.set(cacheKey, result);
-          this.pendingRequests.delete(cacheKey);
+  /**
+   * Remove a cached value
+   * @param {string} key - The cache key
+   */
+  async delete(key) {
+    this.#memory.delete(key);
+    await this.#persisted('readwrite', store => idbRequest(store.delete(key)));
+  }
 
-          // Resolve any queued resolvers with this result
-          this.pendingResolvers.forEach(resolve => resolve(result));
-          this.pendingResolvers = [];
+  /**
+   * Get the cached entries (without expired ones)
+   * @param {string} [prefix=''] - Only entries with keys starting with it
+   * @returns {Promise<Array<{key: string, value: any, time: number}>>} The entries, oldest first
+   */
+  async entries(prefix = '') {
+    const stored = await this.#persisted('readonly', store => idbRequest(store.getAll(GeocoderCache.#range(prefix))));
+    const entries = stored ?? [...this.#memory.values()].filter(({ key }) => key.startsWith(prefix));
+    return entries
+      .filter(entry => !this.#expired(entry))
+      .sort((a, b) => a.time - b.time);
+  }
 
-          return result;
-        })
-        .finally(() => {
-          // Reset flag after debounce delay
-          setTimeout(() => {
-            this.hasExecutedImmediately = false;
-            // If there are queued calls, trigger trailing execution
-            if (this.pendingResolvers.length > 0 && this.lastArgs) {
-              this.#executeTrailing();
-            }
-          }, this.DEBOUNCE_DELAY);
-        });
+  /**
+   * Remove the cached entries (in all tabs)
+   * @param {string} [prefix=''] - Only entries with keys starting with it
+   */
+  async clear(prefix = '') {
+    this.#clearMemory(prefix);
+    this.#channel?.postMessage({ prefix });
+    await this.#persisted('readwrite', store => idbRequest(store.delete(GeocoderCache.#range(prefix))));
+  }
 
-      this.pendingRequests.set(cacheKey, immediatePromise);
-      return immediatePromise;
-    }
+  #expired(entry) {
+    return Date.now() - entry.time > this.ttl;
+  }
 
-    // For calls during debounce window, queue resolvers and update lastArgs
-    this.lastArgs = { lat, lng };
+  #remember(key, entry) {
+    this.#memory.delete(key); // Move it to the end (the most recent)
+    this.#memory.set(key, entry);
+    if (this.#memory.size > this.maxEntries) this.#memory.delete(this.#memory.keys().next().value);
+  }
 
-    const trailingPromise = new Promise(resolve => {
-      this.pendingResolvers.push(resolve);
-    });
+  #clearMemory(prefix) {
+    [...this.#memory.keys()].filter(key => key.startsWith(prefix)).forEach(key => this.#memory.delete(key));
+  }
 
-    // Clear and reset debounce timer for trailing call
-    clearTimeout(this.debounceTimer);
-    this.debounceTimer = setTimeout(() => {
-      this.#executeTrailing();
-    }, this.DEBOUNCE_DELAY);
+  // Keys starting with the prefix
+  static #range(prefix) {
+    return IDBKeyRange.bound(prefix, `${prefix}￿`);
+  }
 
-    return trailingPromise;
+  // The result of an operation on the object store (undefined without IndexedDB or if it fails)
+  async #persisted(mode, operation) {
+    try {
+      const store = await this.#store(mode);
+      return store ? await operation(store) : undefined;
+    } catch (error) {
+      console.warn('map-picker.js: the geocoder cache is only kept in memory', error);
+      this.#db = Promise.resolve(null); // Don't use IndexedDB anymore
+      return undefined;
+    }
   }
 
-  // Internal method to execute trailing call with latest args
-  async #executeTrailing() {
-    if (!this.lastArgs) return;
+  // The object store in a new transaction (null without IndexedDB)
+  async #store(mode) {
+    if (!this.persistent || typeof indexedDB === 'undefined') return null;
+    const opening = this.#db ??= new Promise((resolve, reject) => {
+      const request = indexedDB.open(GeocoderCache.DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(GeocoderCache.STORE, { keyPath: 'key' }).createIndex('time', 'time');
+      };
+      request.onsuccess = () => {
+        const db = request.result;
+        const forget = () => { if (this.#db === opening) this.#db = null; }; // Open it again when needed
+        // Let another tab upgrade or delete the database
+        db.onversionchange = () => {
+          db.close();
+          forget();
+        };
+        db.onclose = forget; // Closed by the browser, e.g. when the site data is cleared
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      console.warn('map-picker.js: the geocoder cache is only kept in memory', error);
+      return null;
+    });
+    const db = await this.#db;
+    return db?.transaction(GeocoderCache.STORE, mode).objectStore(GeocoderCache.STORE) ?? null;
+  }
+}
 
-    const { lat, lng } = this.lastArgs;
-    const cacheKey = `${lat},${lng}`;
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - The request
+ * @returns {Promise<any>} The request's result
+ */
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
 
-    try {
-      const result = await this.#fetchAddress(lat, lng);
-      this.cache.set(cacheKey, result);
-      this.pendingResolvers.forEach(resolve => resolve(result));
-    } catch {
-      this.pendingResolvers.forEach(resolve => resolve(null));
-    } finally {
-      this.pendingResolvers = [];
-      this.pendingRequests.delete(cacheKey);
-      this.lastArgs = null;
+// The cache shared by all geocoders
+export const geocoderCache = new GeocoderCache();
+
+/**
+ * ReverseGeocoder provides reverse geocoding functionality with caching and queued requests.
+ * 
+ * It converts latitude and longitude coordinates into human-readable addresses by querying
+ * a geocoding provider (Nominatim by default). To optimize performance and reduce network traffic, it:
+ * 
+ * - Caches results for coordinates rounded to `precision` decimals (in the shared GeocoderCache).
+ * - Queues requests per coordinate and sends them one at a time (providers limit the rate, see fetchJSON).
+ * - Coalesces concurrent requests for the same coordinates into one.
+ * - Drops (or aborts, if already sent) requests whose callers have all aborted their `signal`,
+ *   e.g. the lookup for a marker that was moved again before its address arrived.
+ * 
+ * Every promise resolves with the address of its own coordinates.
+ * 
+ * @class
+ */
+class ReverseGeocoder {
+  /**
+   * @param {GeocoderProvider} provider - The geocoding backend used for lookups
+   * @param {Object} [options]
+   * @param {string} [options.id=''] - Identifies the provider in the cache keys
+   * @param {number} [options.precision=5] - Decimals of the coordinates in the cache keys (5 is about 1 m, 4 about 10 m)
+   * @param {GeocoderCache} [options.cache] - The cache (the shared `geocoderCache` by default)
+   */
+  constructor(provider, { id = '', precision = 5, cache = geocoderCache } = {}) {
+    this.provider = provider;
+    this.id = id;
+    this.precision = precision;
+    this.cache = cache;
+    this.pendingRequests = new Map(); // Queued and in-flight requests by cache key
+    this.queue = []; // Requests waiting for their turn
+    this.activeRequest = null; // The request being sent
+    this.waitingForConnection = false; // The queue is held until the device is back online
+  }
+
+  /**
+   * Get address from coordinates (queued and cached)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Object} [options]
+   * @param {string} [options.language] - Preferred language of the address, e.g. `de`
+   * @param {AbortSignal} [options.signal] - Aborts the lookup (rejects with the signal's reason)
+   * @returns {Promise<string|null>} Address or null on error
+   */
+  async getAddressFromCoordinates(lat, lng, options) {
+    const result = await this.lookup(lat, lng, options);
+    return result?.address ?? null;
+  }
+
+  /**
+   * Get the address and its structured components from coordinates (queued and cached)
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Object} [options]
+   * @param {string} [options.language] - Preferred language of the address, e.g. `de`
+   * @param {AbortSignal} [options.signal] - Aborts the lookup (rejects with the signal's reason)
+   * @returns {Promise<{address: string, components: AddressComponents|null}|null>} Result or null if not found
+   */
+  async lookup(lat, lng, { language, signal } = {}) {
+    lng = normalizeLongitude(lng);
+    const cacheKey = this.#cacheKey(lat, lng, language);
+
+    // Return cached result if available (a failing cache is only a miss)
+    const cached = await this.cache.get(cacheKey).catch(() => undefined);
+    if (cached !== undefined) return cached;
+    signal?.throwIfAborted();
+
+    // Join the pending request for the same coordinates, or queue a new one
+    let request = this.pendingRequests.get(cacheKey);
+    if (!request) {
+      request = { cacheKey, lat, lng, language, controller: new AbortController(), callers: 0 };
+      request.promise = new Promise((resolve, reject) => Object.assign(request, { resolve, reject }));
+      request.promise.catch(() => {}); // Callers handle errors (there may be none left after aborting)
+      this.pendingRequests.set(cacheKey, request);
+      this.queue.push(request);
+      this.#processQueue();
     }
+    return this.#join(request, signal);
   }
 
   /**
-   * Fetch address from coordinates (uncached)
-   * @private
+   * Get the cached results of this geocoder
+   * @returns {Promise<Array<{lat: number, lng: number, language: string, address: string|null, components: AddressComponents|null, time: number}>>}
+   * The results (`address` is null where none was found) with the time they were cached, oldest first
    */
-  async #fetchAddress(lat, lng) {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 5000);
+  async cachedAddresses() {
+    const entries = await this.cache.entries(`${this.id}|`);
+    return entries.map(({ key, value, time }) => {
+      const [lat, lng, language] = key.slice(this.id.length + 1).split(',');
+      return { lat: Number(lat), lng: Number(lng), language, address: value?.address ?? null, components: value?.components ?? null, time };
+    });
+  }
 
-    try {
-      const params = new URLSearchParams({
-        format: 'json',
-        lat,
-        lon: lng,
-        zoom: 18,
-        addressdetails: 0
-      });
+  /**
+   * Remove the cached results of this geocoder (in all tabs)
+   */
+  async clearCache() {
+    await this.cache.clear(`${this.id}|`);
+  }
+
+  // The coordinates rounded to `precision` decimals, e.g. "52.52001,13.40495,de" (prefixed with the provider id)
+  #cacheKey(lat, lng, language) {
+    const [roundedLat, roundedLng] = [lat, lng].map(coord => Number(coord.toFixed(this.precision)) || 0); // No -0
+    // 180 and -180 are the same meridian (and cache key)
+    return `${this.id}|${roundedLat},${roundedLng === 180 ? -180 : roundedLng},${language ?? ''}`;
+  }
 
-      const response = await fetch(`https://nominatim.openstreetmap.org/reverse?${params}`, {
-        headers: { 'User-Agent': 'map-picker/1.0' },
-        signal: controller.signal
+  // A promise for the request's result, rejected early if the caller's signal aborts
+  #join(request, signal) {
+    request.callers++;
+    if (!signal) return request.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason);
+        // Cancel the request once nobody is waiting for it anymore
+        if (--request.callers === 0) this.#cancel(request);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+      request.promise
+        .finally(() => signal.removeEventListener('abort', onAbort))
+        .then(resolve, reject);
+    });
+  }
+
+  #cancel(request) {
+    if (this.pendingRequests.get(request.cacheKey) === request) this.pendingRequests.delete(request.cacheKey);
+    this.queue = this.queue.filter(queued => queued !== request);
+    request.controller.abort(); // Aborts the fetch if it was already sent
+    request.reject(new DOMException('The lookup was aborted', 'AbortError'));
+  }
+
+  // Send the next queued request once the previous one is done
+  #processQueue() {
+    if (this.activeRequest || !this.queue.length) return;
+    if (isOffline()) return this.#resumeWhenOnline(); // Keep the requests queued until the connection is back
+
+    const request = this.activeRequest = this.queue.shift();
+    let requeued = false;
+    this.#fetchAddress(request.lat, request.lng, request.language, request.controller.signal)
+      .then(result => {
+        this.cache.set(request.cacheKey, result).catch(() => {}); // Not caching it doesn't fail the lookup
+        request.resolve(result);
+      }, error => {
+        // The connection was lost while sending: send it again once it's back
+        requeued = isOffline() && !request.controller.signal.aborted;
+        if (requeued) this.queue.unshift(request);
+        else request.reject(error);
+      })
+      .finally(() => {
+        if (!requeued && this.pendingRequests.get(request.cacheKey) === request) this.pendingRequests.delete(request.cacheKey);
+        this.activeRequest = null;
+        this.#processQueue();
       });
+  }
 
-      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  #resumeWhenOnline() {
+    if (this.waitingForConnection) return;
+    this.waitingForConnection = true;
+    window.addEventListener('online', () => {
+      this.waitingForConnection = false;
+      this.#processQueue();
+    }, { once: true });
+  }
 
-      const data = await response.json();
-      return data.display_name || null;
+  /**
+   * Fetch address from coordinates (uncached)
+   * @private
+   */
+  async #fetchAddress(lat, lng, language, signal) {
+    try {
+      const result = await this.provider.reverse(lat, lng, { signal, language });
+      return result?.address ? { address: result.address, components: result.components ?? null } : null;
     } catch (error) {
-      console.error('Geocoding failed:', error);
+      if (!signal.aborted && !isOffline()) console.error('Geocoding failed:', error);
       throw error;
-    } finally {
-      clearTimeout(timeoutId);
     }
   }
 }
-// Export a singleton instance of ReverseGeocoder
-const geocoder = new ReverseGeocoder();
+
+/**
+ * A geocoding provider (backend) used by ReverseGeocoder and the search box.
+ * @typedef {Object} GeocoderProvider
+ * @property {Function} reverse - `(lat, lng, { signal, language }) => Promise<{address: string, components?: AddressComponents}|null>`
+ * @property {Function} [search] - `(query, { signal, limit, language }) => Promise<Array<{label, lat, lng, bounds}>>`
+ * @property {string} [attribution] - HTML credited in the map attribution ("Geocoding by ...")
+ */
+
+/**
+ * Structured parts of an address (missing parts are undefined).
+ * @typedef {Object} AddressComponents
+ * @property {string} [houseNumber]
+ * @property {string} [road]
+ * @property {string} [postcode]
+ * @property {string} [city]
+ * @property {string} [state]
+ * @property {string} [country]
+ * @property {string} [countryCode] - ISO 3166-1 alpha-2 code, lowercase (e.g. "us")
+ */
+
+/**
+ * Spaces out the requests to a server, e.g. 1 request/second for Nominatim's usage policy
+ * @class
+ */
+class RateLimiter {
+  /**
+   * @param {number} interval - Minimum time between requests in milliseconds
+   */
+  constructor(interval) {
+    this.interval = interval;
+    this.nextTime = 0; // When the next request may be sent
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Wait for the caller's turn
+   * @param {AbortSignal} [signal] - Stops waiting (rejects with the signal's reason)
+   */
+  async wait(signal) {
+    const now = Date.now();
+    const time = Math.max(now, this.nextTime);
+    this.nextTime = time + this.interval;
+    if (time > now) await delay(time - now, signal);
+    // Paused while waiting: take a new turn after the pause
+    if (this.pausedUntil > Date.now()) return this.wait(signal);
+  }
+
+  /**
+   * Hold back all requests (also those already waiting), e.g. for a server's `Retry-After`
+   * @param {number} duration - Milliseconds from now
+   */
+  pause(duration) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + duration);
+    this.nextTime = Math.max(this.nextTime, this.pausedUntil);
+  }
+}
+
+// RateLimiters by origin, shared by all geocoders (and elements) on the page
+const rateLimiters = new Map();
+
+/**
+ * Whether the browser knows it has no network connection (`online` fires on window once it's back)
+ * @returns {boolean}
+ */
+function isOffline() {
+    return navigator.onLine === false;
+}
+
+/**
+ * Resolves after a delay
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} [signal] - Stops waiting (rejects with the signal's reason)
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        signal?.throwIfAborted();
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+const RETRY_STATUSES = [429, 500, 502, 503, 504];
+const MAX_RETRY_DELAY = 60000; // Give up rather than wait longer for a retry
+
+/**
+ * Fetches a URL and parses the JSON response. Rate limited requests (429), server errors,
+ * timeouts and network errors are retried with exponential backoff (1 s, 2 s, 4 s, ...),
+ * or after the time given by the server's `Retry-After` header (which also pauses the other requests to the server).
+ * @param {string} url - The URL to fetch
+ * @param {Object} [options] - Options passed to fetch() (e.g. `signal`, `headers`), and:
+ * @param {number} [options.interval=0] - Minimum time between requests to the URL's origin (by any caller), in milliseconds
+ * @param {number} [options.retries=3] - How many times a failed request is retried
+ * @param {number} [options.timeout=10000] - Timeout of each attempt in milliseconds
+ * @returns {Promise<any>} The parsed response body
+ */
+async function fetchJSON(url, { signal, interval = 0, retries = 3, timeout = 10000, ...options } = {}) {
+    const { origin } = new URL(url);
+    if (interval && !rateLimiters.has(origin)) rateLimiters.set(origin, new RateLimiter(interval));
+    const limiter = interval ? rateLimiters.get(origin) : null;
+
+    for (let attempt = 0; ; attempt++) {
+        await limiter?.wait(signal);
+
+        // Abort the attempt on timeout or when the caller aborts
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(new DOMException('The request timed out', 'TimeoutError')), timeout);
+        const abort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', abort);
+
+        let response = null;
+        let error = null;
+        try {
+            response = await fetch(url, { ...options, signal: controller.signal });
+            if (response.ok) return await response.json();
+            error = new Error(`HTTP ${response.status}`);
+        } catch (fetchError) {
+            error = fetchError; // Network error or timeout
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
+
+        signal?.throwIfAborted();
+        if (!response && isOffline()) throw error; // No use retrying until the connection is back
+        if (response && !RETRY_STATUSES.includes(response.status)) throw error;
+        const serverWait = retryAfter(response);
+        // Hold back all requests to the server for as long as it asked, even when giving up on this one
+        if (serverWait !== null) limiter?.pause(serverWait);
+        const wait = serverWait ?? 1000 * 2 ** attempt;
+        if (attempt >= retries || wait > MAX_RETRY_DELAY) throw error;
+        if (serverWait === null) limiter?.pause(wait); // Also holds back other requests to the server
+        await delay(wait, signal);
+    }
+}
+
+/**
+ * Reads a response's `Retry-After` header (seconds or an HTTP date)
+ * @param {Response|null} response - The response
+ * @returns {number|null} Milliseconds to wait, or null without the header
+ */
+function retryAfter(response) {
+    const value = response?.headers.get('Retry-After');
+    if (!value) return null;
+    const ms = isNaN(value) ? Date.parse(value) - Date.now() : Number(value) * 1000;
+    return isNaN(ms) ? null : Math.max(ms, 0);
+}
+
+/**
+ * Nominatim provider (https://nominatim.org), the default. Follows the usage policy of the public instance
+ * (https://operations.osmfoundation.org/policies/nominatim/): at most 1 request/second from the page,
+ * backing off when asked to, and identified by the referer the page's referrer policy allows and the optional `email`.
+ * @param {Object} [options]
+ * @param {string} [options.url='https://nominatim.openstreetmap.org'] - Base URL of the Nominatim instance
+ * @param {string} [options.email] - Contact address sent with each request (recommended for heavy use)
+ * @param {number} [options.interval=1000] - Minimum time between requests in milliseconds
+ * @returns {GeocoderProvider}
+ */
+export function nominatimGeocoder({ url = 'https://nominatim.openstreetmap.org', email, interval = 1000 } = {}) {
+    const request = (path, params, signal) => {
+        if (email) params.set('email', email);
+        return fetchJSON(`${url}/${path}?${params}`, { signal, interval });
+    };
+
+    return {
+        attribution: '<a target="_blank" href="https://nominatim.org">Nominatim</a>',
+
+        async reverse(lat, lng, { signal, language } = {}) {
+            const params = new URLSearchParams({ format: 'json', lat, lon: lng, zoom: 18, addressdetails: 1 });
+            if (language) params.set('accept-language', language);
+            const data = await request('reverse', params, signal);
+            if (!data.display_name) return null;
+
+            const { address = {} } = data;
+            return {
+                address: data.display_name,
+                components: {
+                    houseNumber: address.house_number,
+                    road: address.road,
+                    postcode: address.postcode,
+                    city: address.city ?? address.town ?? address.village ?? address.hamlet,
+                    state: address.state,
+                    country: address.country,
+                    countryCode: address.country_code
+                }
+            };
+        },
+
+        async search(query, { signal, limit = 5, language } = {}) {
+            const params = new URLSearchParams({ format: 'jsonv2', q: query, limit });
+            if (language) params.set('accept-language', language);
+            const results = await request('search', params, signal);
+            return results.map(({ display_name, lat, lon, boundingbox }) => ({
+                label: display_name,
+                lat: Number(lat),
+                lng: Number(lon),
+                // Nominatim's bounding box is [south, north, west, east]
+                bounds: boundingbox
+                    ? [[boundingbox[0], boundingbox[2]], [boundingbox[1], boundingbox[3]]].map(c => c.map(Number))
+                    : null
+            }));
+        }
+    };
+}
+
+/**
+ * Photon provider (https://photon.komoot.io)
+ * @param {Object} [options]
+ * @param {string} [options.url='https://photon.komoot.io'] - Base URL of the Photon instance
+ * @returns {GeocoderProvider}
+ */
+export function photonGeocoder({ url = 'https://photon.komoot.io' } = {}) {
+    // Photon returns the address parts separately, so build a label from them
+    const label = ({ name, street, housenumber, postcode, city, state, country }) => [
+        name,
+        [street, housenumber].filter(Boolean).join(' '),
+        [postcode, city].filter(Boolean).join(' '),
+        state,
+        country
+    ].filter(Boolean).join(', ');
+
+    // Photon only knows a few languages (and rejects others), so send the base language if it's one of them
+    const withLang = (params, language) => {
+        const [lang] = language?.toLowerCase().split('-') ?? [];
+        if (['de', 'en', 'fr', 'it'].includes(lang)) params.set('lang', lang);
+        return params;
+    };
+
+    return {
+        attribution: '<a target="_blank" href="https://photon.komoot.io">Photon</a>',
+
+        async reverse(lat, lng, { signal, language } = {}) {
+            const params = withLang(new URLSearchParams({ lat, lon: lng, limit: 1 }), language);
+            const { features } = await fetchJSON(`${url}/reverse?${params}`, { signal });
+            if (!features.length) return null;
+
+            const { properties } = features[0];
+            return {
+                address: label(properties),
+                components: {
+                    houseNumber: properties.housenumber,
+                    road: properties.street,
+                    postcode: properties.postcode,
+                    city: properties.city,
+                    state: properties.state,
+                    country: properties.country,
+                    countryCode: properties.countrycode?.toLowerCase()
+                }
+            };
+        },
+
+        async search(query, { signal, limit = 5, language } = {}) {
+            const params = withLang(new URLSearchParams({ q: query, limit }), language);
+            const { features } = await fetchJSON(`${url}/api?${params}`, { signal });
+            return features.map(({ geometry, properties }) => {
+                const [west, north, east, south] = properties.extent ?? [];
+                return {
+                    label: label(properties),
+                    lat: geometry.coordinates[1],
+                    lng: geometry.coordinates[0],
+                    bounds: properties.extent ? [[south, west], [north, east]] : null
+                };
+            });
+        }
+    };
+}
+
+/**
+ * Pelias provider (https://pelias.io), e.g. self-hosted or geocode.earth
+ * @param {Object} options
+ * @param {string} options.url - Base URL of the Pelias instance (without `/v1`)
+ * @param {string} [options.apiKey] - API key, if the instance requires one
+ * @returns {GeocoderProvider}
+ */
+export function peliasGeocoder({ url, apiKey } = {}) {
+    if (!url) throw new Error('the pelias geocoder needs a geocoder-url');
+    const withKey = (params, language) => {
+        if (apiKey) params.set('api_key', apiKey);
+        if (language) params.set('lang', language);
+        return params;
+    };
+
+    return {
+        attribution: '<a target="_blank" href="https://pelias.io">Pelias</a>',
+
+        async reverse(lat, lng, { signal, language } = {}) {
+            const params = withKey(new URLSearchParams({ 'point.lat': lat, 'point.lon': lng, size: 1 }), language);
+            const { features } = await fetchJSON(`${url}/v1/reverse?${params}`, { signal });
+            if (!features.length) return null;
+
+            const { properties } = features[0];
+            return {
+                address: properties.label,
+                components: {
+                    houseNumber: properties.housenumber,
+                    road: properties.street,
+                    postcode: properties.postalcode,
+                    city: properties.locality,
+                    state: properties.region,
+                    country: properties.country,
+                    countryCode: properties.country_code?.toLowerCase()
+                }
+            };
+        },
+
+        async search(query, { signal, limit = 5, language } = {}) {
+            const params = withKey(new URLSearchParams({ text: query, size: limit }), language);
+            const { features } = await fetchJSON(`${url}/v1/search?${params}`, { signal });
+            return features.map(({ geometry, properties, bbox }) => ({
+                label: properties.label,
+                lat: geometry.coordinates[1],
+                lng: geometry.coordinates[0],
+                // GeoJSON bbox is [west, south, east, north]
+                bounds: bbox ? [[bbox[1], bbox[0]], [bbox[3], bbox[2]]] : null
+            }));
+        }
+    };
+}
+
+// Geocoding providers by name (values are provider objects or factories taking `{ url, apiKey, email }`)
+const geocoderProviders = new Map([
+    ['nominatim', nominatimGeocoder],
+    ['photon', photonGeocoder],
+    ['pelias', peliasGeocoder]
+]);
+// ReverseGeocoder instances shared by all elements using the same provider and options
+const geocoders = new Map();
+
+/**
+ * Registers (or replaces) a geocoding provider by name
+ * @param {string} name - The provider name
+ * @param {GeocoderProvider|Function} provider - Provider object, or a factory called with `{ url, apiKey, email }`
+ */
+export function registerGeocoder(name, provider) {
+    geocoderProviders.set(name, provider);
+    // Drop instances created with a previously registered provider of the same name
+    [...geocoders.keys()].filter(key => JSON.parse(key)[0] === name).forEach(key => geocoders.delete(key));
+}
+
+/**
+ * Gets the (shared) ReverseGeocoder for a registered provider
+ * @param {string} [name='nominatim'] - The provider name
+ * @param {Object} [options] - Options passed to the provider factory (`url`, `apiKey`, `email`)
+ * @param {number} [options.precision] - Decimals of the coordinates in the cache keys (see ReverseGeocoder)
+ * @returns {ReverseGeocoder} The geocoder
+ * @throws {Error} If no provider is registered with that name
+ */
+export function getGeocoder(name = 'nominatim', { precision, ...options } = {}) {
+    const key = JSON.stringify([name, options, precision]);
+    if (!geocoders.has(key)) {
+        const provider = geocoderProviders.get(name);
+        if (!provider) throw new Error(`unknown geocoder "${name}"`);
+        // Cached results are shared by geocoders of the same provider and URL (the id doesn't include the API key)
+        const id = options.url ? `${name}@${options.url}` : name;
+        geocoders.set(key, new ReverseGeocoder(typeof provider === 'function' ? provider(options) : provider, { id, precision }));
+    }
+    return geocoders.get(key);
+}
+
+// Export the default (Nominatim) geocoder's methods
+const geocoder = getGeocoder();
 export const getAddressFromCoordinates = geocoder.getAddressFromCoordinates.bind(geocoder);
+export const searchLocations = geocoder.provider.search;
 
 
+/**
+ * A keyboard shortcut: the keys (`KeyboardEvent.code`s) that run a handler, and its description in the help dialog.
+ * @typedef {Object} Shortcut
+ * @property {string} name - Name used to rebind it in a keymap, e.g. `zoomIn`
+ * @property {Array<string>} keys - Default key codes, e.g. `['Equal']`
+ * @property {string} [message] - Message key of the description (built-in shortcuts), e.g. `shortcutZoom`
+ * @property {string} [description] - Description (shortcuts added by the page)
+ * @property {Function} handler - Called with the keydown event
+ */
+
 /**
  * Sets up keyboard controls for a Leaflet map
  * @param {HTMLElement} mapElement - The map container element
@@ -492,78 +2060,1283 @@ export const getAddressFromCoordinates = geocoder.getAddressFromCoordinates.bind
  * @param {Function} callbacks.setMarker - Function to set marker at coordinates
  * @param {Function} callbacks.resetMap - Function to reset the map
  * @param {Function} callbacks.confirmLocation - Function to confirm location
- * @param {Function} callbacks.markerSetEvent - Function to dispatch marker set event
+ * @param {Function} [callbacks.markerSetEvent] - Function to dispatch marker set event
+ * @param {Function} [callbacks.locate] - Function to place the marker at the user's location (no L key without it)
+ * @param {Array<Shortcut>} [callbacks.shortcuts] - Additional shortcuts, e.g. resizing the circle in `circle` mode
+ * @param {Localization} [l10n] - Localization of the help dialog (English by default)
+ * @param {Object} [options]
+ * @param {Object} [options.keymap] - Keys by shortcut name, replacing the defaults (an empty array disables one)
+ * @param {number} [options.panStep=50] - Pixels the arrow keys pan the map by
+ * @param {number} [options.homeZoom=4] - Zoom level of the End key
+ * @returns {{addShortcut: Function, setKeymap: Function, help: Object}} Functions to add shortcuts
+ * (replacing one with the same name) and change the keymap, and the help dialog (see setupHelpDialog)
  */
-export function setupKeyboardControls(mapElement, mapInstance, callbacks) {
-    const { setMarker, resetMap, confirmLocation, markerSetEvent } = callbacks;
-    
-    const keyHandlers = {
-        'Space': (e) => {
-            if (e.target.matches('[role=button]')) {
-                e.target.click();
-                return;
+export function setupKeyboardControls(mapElement, mapInstance, callbacks, l10n = getLocalization(), options = {}) {
+    const { setMarker, resetMap, confirmLocation, markerSetEvent, locate } = callbacks;
+    const { panStep = 50, homeZoom = 4 } = options;
+    let keymap = options.keymap ?? {};
+
+    const pan = (x, y) => (e) => {
+        e.preventDefault();
+        mapInstance.panBy([x * panStep, y * panStep]);
+    };
+
+    const shortcuts = [
+        {
+            name: 'placeMarker',
+            keys: ['Space'],
+            message: 'shortcutSpace',
+            handler: (e) => {
+                if (e.target.matches('button')) return; // Native buttons handle Space themselves
+                if (e.target.matches('[role=button]')) {
+                    e.target.click();
+                    return;
+                }
+                e.preventDefault();
+                const center = mapInstance.getCenter();
+                setMarker(center.lat, center.lng);
+                markerSetEvent?.();
             }
-            e.preventDefault();
-            const center = mapInstance.getCenter();
-            setMarker(center.lat, center.lng);
-            markerSetEvent();
-        },
-        'Enter': (e) => {
-            if (e.target.matches('[role=button]')) return;  // Ignore if focused on a button
-            if (e.target.matches('a')) return; // Ignore if focused on a link
-            e.preventDefault();
-            confirmLocation();
-        },
-        'Minus': (e) => {
-            e.preventDefault();
-            mapInstance.zoomOut();
-        },
-        'Equal': (e) => {
-            e.preventDefault();
-            mapInstance.zoomIn();
         },
-        'ArrowUp': (e) => {
-            e.preventDefault();
-            mapInstance.panBy([0, -50]);
+        {
+            name: 'confirm',
+            keys: ['Enter'],
+            message: 'shortcutEnter',
+            handler: (e) => {
+                if (e.target.matches('button, [role=button]')) return;  // Ignore if focused on a button
+                if (e.target.matches('a')) return; // Ignore if focused on a link
+                e.preventDefault();
+                confirmLocation();
+            }
         },
-        'ArrowDown': (e) => {
-            e.preventDefault();
-            mapInstance.panBy([0, 50]);
+        {
+            name: 'zoomOut',
+            keys: ['Minus'],
+            message: 'shortcutZoom',
+            handler: (e) => {
+                e.preventDefault();
+                mapInstance.zoomOut();
+            }
         },
-        'ArrowLeft': (e) => {
-            e.preventDefault();
-            mapInstance.panBy([-50, 0]);
+        {
+            name: 'zoomIn',
+            keys: ['Equal'],
+            message: 'shortcutZoom',
+            handler: (e) => {
+                e.preventDefault();
+                mapInstance.zoomIn();
+            }
         },
-        'ArrowRight': (e) => {
-            e.preventDefault();
-            mapInstance.panBy([50, 0]);
+        { name: 'panUp', keys: ['ArrowUp'], message: 'shortcutPan', handler: pan(0, -1) },
+        { name: 'panDown', keys: ['ArrowDown'], message: 'shortcutPan', handler: pan(0, 1) },
+        { name: 'panLeft', keys: ['ArrowLeft'], message: 'shortcutPan', handler: pan(-1, 0) },
+        { name: 'panRight', keys: ['ArrowRight'], message: 'shortcutPan', handler: pan(1, 0) },
+        {
+            name: 'home',
+            keys: ['End'],
+            message: 'shortcutHome',
+            handler: (e) => {
+                e.preventDefault();
+                mapInstance.setZoom(homeZoom);
+            }
         },
-        'End': (e) => {
-            e.preventDefault();
-            mapInstance.setZoom(4);
+        {
+            name: 'reset',
+            keys: ['KeyR'],
+            message: 'shortcutReset',
+            handler: (e) => {
+                e.preventDefault();
+                resetMap();
+            }
         },
-        'KeyR': (e) => {
-            e.preventDefault();
-            resetMap();
+        locate && {
+            name: 'locate',
+            keys: ['KeyL'],
+            message: 'shortcutLocate',
+            handler: (e) => {
+                e.preventDefault();
+                locate();
+            }
         },
-        'KeyH': (e) => {
-            e.preventDefault();
-            alert('Map Keyboard Shortcuts:\n\n' +
-                'Space: Place marker at map center\n' +
-                'Enter: Confirm location\n' +
-                'Plus/Minus: Zoom in/out\n' +
-                'Arrow keys: Pan map\n' +
-                'R: Reset map\n' +
-                'Escape: Close popover'
-            );
+        ...callbacks.shortcuts ?? [],
+        {
+            name: 'help',
+            keys: ['KeyH'],
+            message: 'shortcutHelp',
+            handler: (e) => {
+                e.preventDefault();
+                help.open();
+            }
         }
+    ].filter(Boolean);
+    let extraShortcuts = []; // Added by the page, these win over built-in shortcuts with the same key
+
+    // The shortcuts with their current keys, without disabled shortcuts and keys taken by another one.
+    // A key goes to the shortcut it was given to in the keymap, else to one added by the page, else to the later one.
+    const boundShortcuts = () => {
+        const bound = [...shortcuts, ...extraShortcuts].map((shortcut, i) => {
+            const rebound = Object.hasOwn(keymap, shortcut.name);
+            return { shortcut, keys: rebound ? keymap[shortcut.name] : shortcut.keys, rank: rebound ? 2 : i >= shortcuts.length ? 1 : 0 };
+        });
+        const owner = key => bound.reduce((found, entry) =>
+            entry.keys.includes(key) && (!found || entry.rank >= found.rank) ? entry : found, null);
+        return bound
+            .map(entry => ({ ...entry.shortcut, keys: entry.keys.filter(key => owner(key) === entry) }))
+            .filter(({ keys }) => keys.length);
     };
 
+    // The help lists exactly the shortcuts handled below
+    const help = setupHelpDialog(mapElement, boundShortcuts, l10n);
+
     mapElement.addEventListener('keydown', (e) => {
         if (e.metaKey) return;
         if (e.ctrlKey) return;
-        const handler = keyHandlers[e.code];
-        if (handler) handler(e);
+        const shortcut = boundShortcuts().find(({ keys }) => keys.includes(e.code));
+        if (shortcut) shortcut.handler(e);
+    });
+
+    return {
+        addShortcut(shortcut) {
+            extraShortcuts = extraShortcuts.filter(({ name }) => name !== shortcut.name).concat(shortcut);
+        },
+        setKeymap(newKeymap) {
+            keymap = newKeymap;
+        },
+        help
+    };
+}
+
+/**
+ * Parses a keymap, e.g. "reset: KeyX; zoomIn: Equal NumpadAdd; locate: none"
+ * @param {string|Object} [keymap] - Keymap string (`name: codes` separated by `;`), or an object of
+ * codes (array or space separated string, `null`/`false`/`'none'` to disable) by shortcut name
+ * @returns {Object} Arrays of key codes by shortcut name
+ */
+function parseKeymap(keymap) {
+    if (!keymap) return {};
+    const entries = typeof keymap === 'string'
+        ? keymap.split(';').filter(entry => entry.trim()).map(entry => entry.split(':'))
+        : Object.entries(keymap);
+    return Object.fromEntries(entries.map(([name, keys]) => {
+        if (Array.isArray(keys)) return [name.trim(), keys];
+        keys = String(keys || '').trim();
+        return [name.trim(), keys && keys !== 'none' ? keys.split(/\s+/) : []];
+    }));
+}
+
+// Labels of the keys shown in the help dialog (other codes are shown without their `Key`/`Digit` prefix)
+const KEY_LABELS = {
+    Minus: '-', Equal: '+', BracketLeft: '[', BracketRight: ']',
+    ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→'
+};
+
+let helpDialogCount = 0; // Used to generate unique ids for the ARIA attributes
+
+/**
+ * Sets up the keyboard shortcuts help: a dialog inside the map that keeps the focus until it is closed.
+ * It is a popover, so it stays on top of the page and doesn't close a `[popover]` the map is in.
+ * @param {HTMLElement} mapElement - The map container element (the dialog is added to it)
+ * @param {Function} getShortcuts - Returns the shortcuts to list (when the dialog is opened)
+ * @param {Localization} l10n - Localization of the dialog
+ * @returns {{dialog: HTMLElement, open: Function, close: Function}} The dialog and functions to open and close it
+ */
+function setupHelpDialog(mapElement, getShortcuts, l10n) {
+    const id = `map-picker-help-${++helpDialogCount}`;
+    let returnFocus = null; // Focused element before the dialog was opened
+
+    const dialog = Leaflet.DomUtil.create('dialog', 'map-picker-help', mapElement);
+    dialog.popover = 'auto'; // Escape or a click outside closes it
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', `${id}-title`);
+
+    const title = Leaflet.DomUtil.create('h2', '', dialog);
+    Object.assign(title, { id: `${id}-title`, textContent: l10n.t('shortcuts') });
+
+    const list = Leaflet.DomUtil.create('dl', '', dialog);
+
+    const closeButton = Leaflet.DomUtil.create('button', '', dialog);
+    Object.assign(closeButton, { type: 'button', textContent: l10n.t('close') });
+    closeButton.addEventListener('click', () => close());
+
+    // One line per description, e.g. "- +  Zoom out/in"
+    const render = () => {
+        const lines = new Map();
+        getShortcuts().forEach(({ keys, message, description }) => {
+            const text = description ?? l10n.t(message);
+            lines.set(text, [...lines.get(text) ?? [], ...keys]);
+        });
+        list.replaceChildren(...[...lines].flatMap(([text, keys]) => {
+            const term = document.createElement('dt');
+            term.append(...keys.flatMap((key, i) => {
+                const kbd = document.createElement('kbd');
+                kbd.textContent = KEY_LABELS[key] ?? key.replace(/^(Key|Digit)/, '');
+                return i ? [' ', kbd] : [kbd];
+            }));
+            const definition = document.createElement('dd');
+            definition.textContent = text;
+            return [term, definition];
+        }));
+    };
+
+    // Keep clicks and keys inside the dialog from reaching the map
+    Leaflet.DomEvent.disableClickPropagation(dialog);
+    Leaflet.DomEvent.disableScrollPropagation(dialog);
+    dialog.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key !== 'Tab') return;
+        // Trap the focus: Tab and Shift+Tab cycle through the dialog's controls
+        const focusable = [...dialog.querySelectorAll('button, [href], input, [tabindex]:not([tabindex="-1"])')];
+        const [first, last] = [focusable[0], focusable.at(-1)];
+        const active = dialog.getRootNode().activeElement;
+        if (e.shiftKey ? active === first || active === dialog : active === last) {
+            e.preventDefault();
+            (e.shiftKey ? last : first).focus();
+        }
+    });
+
+    // Restore the focus however the dialog was closed (button, Escape or a click outside)
+    dialog.addEventListener('toggle', (e) => {
+        if (e.newState !== 'closed') return;
+        returnFocus?.focus({ preventScroll: true });
+        returnFocus = null;
+    });
+
+    const open = () => {
+        if (dialog.matches(':popover-open')) return;
+        render();
+        returnFocus = mapElement.getRootNode().activeElement ?? mapElement;
+        dialog.showPopover();
+        closeButton.focus();
+    };
+
+    const close = () => {
+        if (dialog.matches(':popover-open')) dialog.hidePopover();
+    };
+
+    return { dialog, open, close };
+}
+
+
+
+let searchControlCount = 0; // Used to generate unique ids for the ARIA attributes
+
+/**
+ * Sets up a search control (an ARIA combobox with a listbox of results) for a Leaflet map
+ * @param {Object} mapInstance - The Leaflet map instance
+ * @param {Object} callbacks - Object containing callback functions
+ * @param {Function} callbacks.search - Function returning a promise of results for a query and an AbortSignal
+ * @param {Function} callbacks.select - Function called with the result chosen by the user
+ * @param {string} [label] - Accessible label and placeholder of the search input (`search` message by default)
+ * @param {Localization} [l10n] - Localization of the control (English by default)
+ * @returns {Object} The Leaflet control
+ */
+export function setupSearchControl(mapInstance, callbacks, label, l10n = getLocalization()) {
+    label ??= l10n.t('search');
+    const { search, select } = callbacks;
+    const id = `map-picker-search-${++searchControlCount}`;
+    const SEARCH_DELAY = 1000; // Search after typing pauses (also keeps within Nominatim's 1 request/second)
+    const MIN_QUERY_LENGTH = 3;
+
+    let results = [];
+    let activeIndex = -1;
+    let debounceTimer = null;
+    let controller = null;
+
+    const container = Leaflet.DomUtil.create('div', 'leaflet-control leaflet-bar map-picker-search');
+    const input = Leaflet.DomUtil.create('input', '', container);
+    Object.assign(input, { type: 'search', placeholder: label, autocomplete: 'off', role: 'combobox' });
+    input.setAttribute('aria-label', label);
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', `${id}-listbox`);
+
+    const listbox = Leaflet.DomUtil.create('ul', '', container);
+    Object.assign(listbox, { id: `${id}-listbox`, role: 'listbox', hidden: true });
+    listbox.setAttribute('aria-label', l10n.t('searchResults'));
+
+    const status = Leaflet.DomUtil.create('div', 'visually-hidden', container);
+    status.role = 'status'; // Announces the number of results
+
+    // Keep clicks, scrolling and keys inside the control from reaching the map
+    Leaflet.DomEvent.disableClickPropagation(container);
+    Leaflet.DomEvent.disableScrollPropagation(container);
+    Leaflet.DomEvent.on(container, 'keydown', Leaflet.DomEvent.stopPropagation);
+
+    const setActive = (index) => {
+        activeIndex = index;
+        [...listbox.children].forEach((option, i) => option.setAttribute('aria-selected', i === index));
+        const option = listbox.children[index];
+        if (!option) return input.removeAttribute('aria-activedescendant');
+        input.setAttribute('aria-activedescendant', option.id);
+        option.scrollIntoView({ block: 'nearest' });
+    };
+
+    const toggle = (open) => {
+        listbox.hidden = !open;
+        input.setAttribute('aria-expanded', open);
+        if (!open) setActive(-1);
+    };
+
+    const render = () => {
+        listbox.replaceChildren(...results.map((result, i) => {
+            const option = document.createElement('li');
+            Object.assign(option, { id: `${id}-option-${i}`, role: 'option', textContent: result.label });
+            option.setAttribute('aria-selected', 'false');
+            return option;
+        }));
+        status.textContent = results.length
+            ? l10n.t('resultsAvailable', { count: results.length })
+            : l10n.t('noResults');
+        toggle(results.length > 0);
+    };
+
+    const runSearch = async () => {
+        clearTimeout(debounceTimer);
+        controller?.abort(); // Cancel a search that is still in flight
+        const query = input.value.trim();
+        if (query.length < MIN_QUERY_LENGTH) {
+            results = [];
+            return toggle(false);
+        }
+
+        controller = new AbortController();
+        try {
+            results = await search(query, controller.signal);
+            render();
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error('Search failed:', error);
+        }
+    };
+
+    const choose = (index) => {
+        const result = results[index];
+        if (!result) return;
+        input.value = result.label;
+        toggle(false);
+        select(result);
+    };
+
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        debounceTimer = setTimeout(runSearch, SEARCH_DELAY);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        const count = results.length;
+        const keyHandlers = {
+            'ArrowDown': () => listbox.hidden
+                ? count && toggle(true)
+                : setActive((activeIndex + 1) % count),
+            'ArrowUp': () => listbox.hidden
+                ? count && toggle(true)
+                : setActive(activeIndex <= 0 ? count - 1 : activeIndex - 1),
+            'Enter': () => activeIndex >= 0 ? choose(activeIndex) : runSearch(),
+            'Escape': () => listbox.hidden ? (input.value = '') : toggle(false),
+        };
+        const handler = keyHandlers[e.key];
+        if (!handler) return;
+        e.preventDefault();
+        handler();
+    });
+
+    input.addEventListener('blur', () => toggle(false));
+    listbox.addEventListener('mousedown', (e) => e.preventDefault()); // Keep focus in the input
+    listbox.addEventListener('click', (e) => {
+        const option = e.target.closest('[role=option]');
+        if (option) choose([...listbox.children].indexOf(option));
+    });
+
+    const control = new Leaflet.Control({ position: 'topleft' });
+    control.onAdd = () => container;
+    return control.addTo(mapInstance);
+}
+
+
+/**
+ * Sets up a "Use my location" button for a Leaflet map
+ * @param {Object} mapInstance - The Leaflet map instance
+ * @param {Function} locate - Function placing the marker at the user's location (may return a promise)
+ * @param {string} [label='Use my location'] - Accessible label and tooltip of the button
+ * @returns {Object} The Leaflet control
+ */
+export function setupLocateControl(mapInstance, locate, label = 'Use my location') {
+    const container = Leaflet.DomUtil.create('div', 'leaflet-control leaflet-bar map-picker-locate');
+    const button = Leaflet.DomUtil.create('button', '', container);
+    Object.assign(button, { type: 'button', title: label });
+    button.setAttribute('aria-label', label);
+    button.innerHTML = `<svg viewBox="0 0 24 24" width="18" height="18" aria-hidden="true" fill="none" stroke="currentColor" stroke-width="2">
+        <circle cx="12" cy="12" r="7"/><circle cx="12" cy="12" r="2" fill="currentColor"/>
+        <path d="M12 1v4M12 19v4M1 12h4M19 12h4"/>
+    </svg>`;
+
+    Leaflet.DomEvent.disableClickPropagation(container);
+    button.addEventListener('click', async () => {
+        button.ariaBusy = true; // Finding the location can take a few seconds
+        await locate();
+        button.ariaBusy = null;
+    });
+
+    const control = new Leaflet.Control({ position: 'topleft' });
+    control.onAdd = () => container;
+    return control.addTo(mapInstance);
+}
+
+/**
+ * Gets the device's current position (a promise for `navigator.geolocation.getCurrentPosition()`)
+ * @param {Object} [options] - PositionOptions (`enableHighAccuracy`, `timeout`, `maximumAge`)
+ * @returns {Promise<GeolocationPosition>} The position
+ * @throws {GeolocationPositionError|{code: 0, message: string}} If the position can't be found (code 0: not supported)
+ */
+function getCurrentPosition(options) {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) return reject({ code: 0, message: 'Geolocation is not supported by this browser.' });
+        navigator.geolocation.getCurrentPosition(resolve, reject, options);
+    });
+}
+
+
+/**
+ * PolygonDrawer lets users outline an area on a Leaflet map (`mode="polygon"`).
+ *
+ * - Vertices are added by clicking the map (or pressing Space to add one at the map center).
+ * - The ring is closed by clicking the first vertex (or when the area is confirmed).
+ * - Vertices can be dragged to edit the shape; the area and perimeter are shown on the polygon.
+ *
+ * Static methods convert a list of [lat, lng] vertices into the data used by events and forms.
+ * @class
+ */
+class PolygonDrawer {
+  static incompleteMessage = 'polygonIncomplete'; // Message key
+
+  /**
+   * @param {Object} map - The Leaflet map instance
+   * @param {Function} onChange - Called after a vertex is added or moved, or the ring is closed
+   * @param {Object} [options]
+   * @param {Localization} [options.l10n] - Localization of the titles and tooltips (English by default)
+   */
+  constructor(map, onChange, { l10n = getLocalization() } = {}) {
+    this.map = map;
+    this.onChange = onChange;
+    this.l10n = l10n;
+    this.vertices = []; // Draggable markers
+    this.shape = null; // Polyline while drawing, Polygon once closed
+    this.closed = false;
+  }
+
+  /** @returns {Array<Array<number>>} The vertices as [lat, lng] (longitudes normalized to [-180, 180]) */
+  get locations() {
+    return this.vertices.map(vertex => [vertex.getLatLng().lat, normalizeLongitude(vertex.getLatLng().lng)]);
+  }
+
+  get complete() {
+    return this.vertices.length >= 3;
+  }
+
+  // Add a vertex (returns false if the ring is closed)
+  place(lat, lng) {
+    if (this.closed) return false; // Closed rings are edited by dragging
+    this.#addVertex(lat, lng);
+    this.#redraw();
+    this.onChange();
+    return true;
+  }
+
+  finish() {
+    if (this.closed || !this.complete) return;
+    this.closed = true;
+    this.#redraw();
+    this.onChange();
+  }
+
+  setLocations(locations) {
+    this.clear();
+    // Each vertex next to the previous one (across the antimeridian if needed), starting in the current view
+    let reference = this.map.getCenter().lng;
+    locations.forEach(([lat, lng]) => this.#addVertex(lat, reference = nearestLongitude(lng, reference)));
+    this.closed = this.complete;
+    this.#redraw();
+  }
+
+  clear() {
+    this.vertices.forEach(vertex => this.map.removeLayer(vertex));
+    if (this.shape) this.map.removeLayer(this.shape);
+    this.vertices = [];
+    this.shape = null;
+    this.closed = false;
+  }
+
+  #addVertex(lat, lng) {
+    const vertex = new Leaflet.Marker([lat, lng], {
+      draggable: true,
+      icon: new Leaflet.DivIcon({ className: 'map-picker-vertex', iconSize: [14, 14] }),
+      title: this.vertices.length ? this.l10n.t('point', { number: this.vertices.length + 1 }) : this.l10n.t('firstPoint')
+    }).addTo(this.map);
+
+    vertex.on('drag', () => this.#redraw());
+    vertex.on('dragend', () => this.onChange());
+    vertex.on('click', () => {
+      if (vertex === this.vertices[0]) this.finish();
+    });
+    this.vertices.push(vertex);
+  }
+
+  #redraw() {
+    const latLngs = this.vertices.map(vertex => vertex.getLatLng());
+    // A Polyline while drawing, replaced by a Polygon once the ring is closed
+    if (!this.shape || (this.shape instanceof Leaflet.Polygon) !== this.closed) {
+      if (this.shape) this.map.removeLayer(this.shape);
+      const Shape = this.closed ? Leaflet.Polygon : Leaflet.Polyline;
+      this.shape = new Shape(latLngs, { className: 'map-picker-shape', interactive: false });
+      // Adding it to the map opens the permanent tooltip at the center of the ring, so the ring must be set
+      if (this.closed) this.shape.bindTooltip('', { permanent: true, direction: 'center' });
+      this.shape.addTo(this.map);
+    } else {
+      this.shape.setLatLngs(latLngs);
+    }
+
+    if (!this.closed) return;
+    const { area, perimeter } = PolygonDrawer.toData(this.locations);
+    this.shape.setTooltipContent(`${formatArea(area, this.l10n)}<br>${formatDistance(perimeter, this.l10n)}`);
+  }
+
+  /**
+   * @param {Array<Array<number>>} locations - The vertices as [lat, lng]
+   * @returns {{geojson: Object, area: number, perimeter: number}} GeoJSON Polygon, area (m²) and perimeter (m)
+   */
+  static toData(locations) {
+    return {
+      geojson: polygonToGeoJSON(locations),
+      area: geodesicArea(locations),
+      perimeter: geodesicLength([...locations, locations[0]])
+    };
+  }
+
+  // Form value: the GeoJSON Polygon
+  static toValue(locations) {
+    return JSON.stringify(polygonToGeoJSON(locations));
+  }
+
+  // Vertices from a GeoJSON Polygon (null if the value isn't one)
+  static fromValue(value) {
+    try {
+      const { type, coordinates: [ring] } = JSON.parse(value);
+      if (type !== 'Polygon') return null;
+      return ring.slice(0, -1).map(([lng, lat]) => [lat, lng]);
+    } catch {
+      return null;
+    }
+  }
+
+  static center(locations) {
+    return boundsCenter(locations);
+  }
+}
+
+/**
+ * CircleDrawer lets users pick a center and a radius on a Leaflet map (`mode="circle"`).
+ *
+ * - The center is placed by clicking the map (or pressing Space) and can be dragged.
+ * - The radius is adjusted by dragging the handle on the circle's edge, or with the [ and ] keys.
+ * - The radius is kept between the `minRadius` and `maxRadius` options (in meters).
+ *
+ * The circle's location is [lat, lng, radius].
+ * @class
+ */
+class CircleDrawer {
+  static incompleteMessage = 'circleIncomplete'; // Message key
+  static DEFAULT_RADIUS = 1000; // meters
+  static RESIZE_FACTOR = 1.25; // Radius change per key press
+
+  /**
+   * @param {Object} map - The Leaflet map instance
+   * @param {Function} onChange - Called after the center or the radius changed
+   * @param {Object} [options]
+   * @param {number} [options.minRadius=0] - Minimum radius in meters
+   * @param {number} [options.maxRadius=Infinity] - Maximum radius in meters
+   * @param {Localization} [options.l10n] - Localization of the titles and tooltip (English by default)
+   */
+  constructor(map, onChange, { minRadius = 0, maxRadius = Infinity, l10n = getLocalization() } = {}) {
+    this.map = map;
+    this.onChange = onChange;
+    this.l10n = l10n;
+    this.minRadius = Math.max(minRadius, 1);
+    this.maxRadius = Math.max(maxRadius, this.minRadius);
+    this.circle = null;
+    this.centerMarker = null; // Draggable marker at the center
+    this.handle = null; // Draggable marker on the circle's edge
+  }
+
+  /** @returns {Array<Array<number>>} The circle as [[lat, lng, radius]] (empty if not placed) */
+  get locations() {
+    if (!this.circle) return [];
+    const { lat, lng } = this.circle.getLatLng();
+    return [[lat, normalizeLongitude(lng), Math.round(this.circle.getRadius())]];
+  }
+
+  get complete() {
+    return Boolean(this.circle);
+  }
+
+  // Keys to shrink and grow the radius (used by setupKeyboardControls)
+  get shortcuts() {
+    return [{
+      name: 'shrinkRadius',
+      keys: ['BracketLeft'],
+      message: 'shortcutRadius',
+      handler: (e) => {
+        e.preventDefault();
+        this.#resizeBy(1 / CircleDrawer.RESIZE_FACTOR);
+      }
+    }, {
+      name: 'growRadius',
+      keys: ['BracketRight'],
+      message: 'shortcutRadius',
+      handler: (e) => {
+        e.preventDefault();
+        this.#resizeBy(CircleDrawer.RESIZE_FACTOR);
+      }
+    }];
+  }
+
+  // Place (or move) the center, keeping the radius
+  place(lat, lng) {
+    this.#draw(lat, lng, this.circle?.getRadius() ?? CircleDrawer.DEFAULT_RADIUS);
+    this.onChange();
+    return true;
+  }
+
+  finish() {}
+
+  setLocations([[lat, lng, radius] = []]) {
+    this.clear();
+    if (lat === undefined) return;
+    this.#draw(lat, nearestLongitude(lng, this.map.getCenter().lng), radius || CircleDrawer.DEFAULT_RADIUS);
+  }
+
+  clear() {
+    [this.circle, this.centerMarker, this.handle].forEach(layer => layer && this.map.removeLayer(layer));
+    this.circle = this.centerMarker = this.handle = null;
+  }
+
+  #clamp(radius) {
+    return Math.min(Math.max(radius, this.minRadius), this.maxRadius);
+  }
+
+  #draw(lat, lng, radius) {
+    if (!this.circle) this.#create(lat, lng);
+    this.circle.setLatLng([lat, lng]);
+    this.centerMarker.setLatLng([lat, lng]);
+    this.#setRadius(radius);
+  }
+
+  #create(lat, lng) {
+    this.circle = new Leaflet.Circle([lat, lng], { className: 'map-picker-shape', interactive: false })
+      .bindTooltip('', { permanent: true, direction: 'center' })
+      .addTo(this.map);
+
+    this.centerMarker = new Leaflet.Marker([lat, lng], { draggable: true, title: this.l10n.t('center') }).addTo(this.map);
+    this.centerMarker.on('drag', () => {
+      const { lat, lng } = this.centerMarker.getLatLng();
+      this.circle.setLatLng([lat, lng]);
+      this.#setRadius(this.circle.getRadius()); // Move the handle along
+    });
+    this.centerMarker.on('dragend', () => this.onChange());
+
+    this.handle = new Leaflet.Marker([lat, lng], {
+      draggable: true,
+      icon: new Leaflet.DivIcon({ className: 'map-picker-vertex', iconSize: [14, 14] }),
+      title: this.l10n.t('radiusHandle')
+    }).addTo(this.map);
+    this.handle.on('drag', () => {
+      const { lat, lng } = this.handle.getLatLng();
+      const center = this.circle.getLatLng();
+      this.circle.setRadius(this.#clamp(geodesicDistance([center.lat, center.lng], [lat, lng])));
+      this.#updateTooltip();
+    });
+    this.handle.on('dragend', () => {
+      this.#setRadius(this.circle.getRadius()); // Snap the handle back onto the edge
+      this.onChange();
+    });
+  }
+
+  #setRadius(radius) {
+    const { lat, lng } = this.circle.getLatLng();
+    radius = this.#clamp(radius);
+    this.circle.setRadius(radius);
+    this.handle.setLatLng(geodesicDestination([lat, lng], 90, radius)); // East of the center
+    this.#updateTooltip();
+  }
+
+  #resizeBy(factor) {
+    if (!this.circle) return;
+    this.#setRadius(this.circle.getRadius() * factor);
+    this.onChange();
+  }
+
+  #updateTooltip() {
+    this.circle.setTooltipContent(this.l10n.t('radius', { radius: formatDistance(this.circle.getRadius(), this.l10n) }));
+  }
+
+  /**
+   * @param {Array<Array<number>>} locations - The circle as [[lat, lng, radius]]
+   * @returns {{radius: number}} The radius in meters
+   */
+  static toData([[, , radius]]) {
+    return { radius };
+  }
+
+  // Form value: `latitude,longitude,radius`
+  static toValue([location]) {
+    return locationString(location);
+  }
+
+  // The value has the same format as `marker-coordinates`
+  static fromValue() {
+    return null;
+  }
+
+  static center([[lat, lng]]) {
+    return [lat, lng];
+  }
+}
+
+/**
+ * BboxDrawer lets users pick a rectangular extent on a Leaflet map (`mode="bbox"`).
+ *
+ * - Click the map (or press Space) at two opposite corners, or Shift + drag to draw the box.
+ * - Press F to fit the box to the current view.
+ * - Drag the corners to adjust the box.
+ *
+ * The box's locations are its [south, west] and [north, east] corners.
+ * @class
+ */
+class BboxDrawer {
+  static incompleteMessage = 'bboxIncomplete'; // Message key
+
+  #drawing = false; // Shift + drag in progress
+
+  /**
+   * @param {Object} map - The Leaflet map instance
+   * @param {Function} onChange - Called after a corner is placed or moved
+   * @param {Object} [options]
+   * @param {Localization} [options.l10n] - Localization of the titles and tooltip (English by default)
+   */
+  constructor(map, onChange, { l10n = getLocalization() } = {}) {
+    this.map = map;
+    this.onChange = onChange;
+    this.l10n = l10n;
+    this.corners = []; // Draggable markers at two opposite corners
+    this.rectangle = null;
+
+    // Shift + drag draws a box (instead of Leaflet's box zoom)
+    map.boxZoom.disable();
+    map.on('mousedown', (e) => {
+      if (!e.originalEvent.shiftKey) return;
+      map.dragging.disable();
+      this.#drawing = true;
+      const { lat, lng } = e.latlng;
+      this.setLocations([[lat, lng], [lat, lng]]);
+
+      const resize = (e) => {
+        this.corners[1].setLatLng(e.latlng);
+        this.#redraw();
+      };
+      map.on('mousemove', resize);
+      document.addEventListener('mouseup', () => {
+        map.off('mousemove', resize);
+        map.dragging.enable();
+        setTimeout(() => { this.#drawing = false; }); // Ignore the click that ends the drag
+        this.onChange();
+      }, { once: true });
     });
+  }
+
+  /**
+   * @returns {Array<Array<number>>} [[south, west], [north, east]] (or the first corner while drawing),
+   * with longitudes normalized to [-180, 180], so west > east if the box crosses the antimeridian
+   */
+  get locations() {
+    if (!this.complete) return this.corners.map(corner => [corner.getLatLng().lat, normalizeLongitude(corner.getLatLng().lng)]);
+    const bounds = this.rectangle.getBounds();
+    return [[bounds.getSouth(), normalizeLongitude(bounds.getWest())], [bounds.getNorth(), normalizeLongitude(bounds.getEast())]];
+  }
+
+  get complete() {
+    return this.corners.length === 2;
+  }
+
+  // Key to fit the box to the current view (used by setupKeyboardControls)
+  get shortcuts() {
+    return [{
+      name: 'fitToView',
+      keys: ['KeyF'],
+      message: 'shortcutFit',
+      handler: (e) => {
+        e.preventDefault();
+        this.fitToView();
+      }
+    }];
+  }
+
+  // Add a corner (returns false while a box is dragged)
+  place(lat, lng) {
+    if (this.#drawing) return false;
+    if (this.complete) this.clear(); // Start a new box
+    this.#addCorner(lat, lng);
+    this.#redraw();
+    this.onChange();
+    return true;
+  }
+
+  fitToView() {
+    const bounds = this.map.getBounds();
+    // At low zoom levels more than the whole world may be in view
+    const [west, east] = bounds.getEast() - bounds.getWest() >= 360 ? [-180, 180] : [bounds.getWest(), bounds.getEast()];
+    this.setLocations([[Math.max(bounds.getSouth(), -90), west], [Math.min(bounds.getNorth(), 90), east]]);
+    this.onChange();
+  }
+
+  finish() {}
+
+  setLocations([[south, west] = [], [north, east] = []]) {
+    this.clear();
+    if (south === undefined) return;
+    // In the current view, with the east edge east of the west edge (across the antimeridian if needed)
+    const offset = nearestLongitude(west, this.map.getCenter().lng) - west;
+    this.#addCorner(south, west + offset);
+    if (north !== undefined) this.#addCorner(north, west + offset + BboxDrawer.#width(west, east));
+    this.#redraw();
+  }
+
+  clear() {
+    this.corners.forEach(corner => this.map.removeLayer(corner));
+    if (this.rectangle) this.map.removeLayer(this.rectangle);
+    this.corners = [];
+    this.rectangle = null;
+  }
+
+  #addCorner(lat, lng) {
+    const corner = new Leaflet.Marker([lat, lng], {
+      draggable: true,
+      icon: new Leaflet.DivIcon({ className: 'map-picker-vertex', iconSize: [14, 14] }),
+      title: this.l10n.t('corner', { number: this.corners.length + 1 })
+    }).addTo(this.map);
+
+    corner.on('drag', () => this.#redraw());
+    corner.on('dragend', () => this.onChange());
+    this.corners.push(corner);
+  }
+
+  #redraw() {
+    if (!this.complete) return;
+    const bounds = new Leaflet.LatLngBounds(this.corners.map(corner => corner.getLatLng()));
+    if (!this.rectangle) {
+      this.rectangle = new Leaflet.Rectangle(bounds, { className: 'map-picker-shape', interactive: false })
+        .bindTooltip('', { permanent: true, direction: 'center' })
+        .addTo(this.map);
+    }
+    this.rectangle.setBounds(bounds);
+
+    const { south, west, north, east } = BboxDrawer.toData(this.locations);
+    this.rectangle.setTooltipContent(Object.entries({ south, west, north, east })
+      .map(([side, value]) => `${this.l10n.t(side)} ${this.l10n.number(value, 4)}`)
+      .join('<br>'));
+  }
+
+  /**
+   * @param {Array<Array<number>>} locations - [[south, west], [north, east]] (only the first corner while drawing)
+   * @returns {{bbox: Array<number>, south: number, west: number, north: number, east: number}}
+   * The box as a GeoJSON bbox (`[minLng, minLat, maxLng, maxLat]`) and as separate values
+   */
+  static toData([[south, west], [north, east] = [south, west]]) {
+    return { bbox: [west, south, east, north], south, west, north, east };
+  }
+
+  // Form value: `minLng,minLat,maxLng,maxLat`
+  static toValue(locations) {
+    return BboxDrawer.toData(locations).bbox.map(decimalString).join(',');
+  }
+
+  // Corners from a `minLng,minLat,maxLng,maxLat` value (null if the value isn't one)
+  static fromValue(value) {
+    const numbers = String(value).split(',').map(Number);
+    if (numbers.length !== 4 || numbers.some(isNaN)) return null;
+    const [west, south, east, north] = numbers;
+    return [[south, west], [north, east]];
+  }
+
+  static center(locations) {
+    const { bbox: [west, south, east, north] } = BboxDrawer.toData(locations);
+    return [(south + north) / 2, normalizeLongitude(west + BboxDrawer.#width(west, east) / 2)];
+  }
+
+  // Degrees from the west to the east edge (across the antimeridian if west > east)
+  static #width(west, east) {
+    return east - west >= 360 ? 360 : ((east - west) % 360 + 360) % 360;
+  }
+}
+
+// Classes that handle the `mode` attribute's drawing modes (markers are used in `point` mode)
+const drawingModes = {
+    polygon: PolygonDrawer,
+    circle: CircleDrawer,
+    bbox: BboxDrawer
+};
+
+
+const EARTH_RADIUS = 6371008.8; // Mean Earth radius in meters
+
+/**
+ * Calculates the great-circle distance between two locations (haversine formula)
+ * @param {Array<number>} from - [lat, lng]
+ * @param {Array<number>} to - [lat, lng]
+ * @returns {number} The distance in meters
+ */
+export function geodesicDistance([lat1, lng1], [lat2, lng2]) {
+    const toRadians = Math.PI / 180;
+    const a = Math.sin((lat2 - lat1) * toRadians / 2) ** 2
+        + Math.cos(lat1 * toRadians) * Math.cos(lat2 * toRadians) * Math.sin((lng2 - lng1) * toRadians / 2) ** 2;
+    return 2 * EARTH_RADIUS * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Calculates the location at a distance and bearing from a starting location
+ * @param {Array<number>} from - [lat, lng]
+ * @param {number} bearing - Degrees clockwise from north
+ * @param {number} distance - Distance in meters
+ * @returns {Array<number>} The destination as [lat, lng]
+ */
+export function geodesicDestination([lat, lng], bearing, distance) {
+    const toRadians = Math.PI / 180;
+    const angle = distance / EARTH_RADIUS;
+    const lat1 = lat * toRadians;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angle)
+        + Math.cos(lat1) * Math.sin(angle) * Math.cos(bearing * toRadians));
+    const lng2 = lng * toRadians + Math.atan2(
+        Math.sin(bearing * toRadians) * Math.sin(angle) * Math.cos(lat1),
+        Math.cos(angle) - Math.sin(lat1) * Math.sin(lat2)
+    );
+    return [lat2 / toRadians, lng2 / toRadians];
 }
 
+/**
+ * Calculates the length of a path along the Earth's surface
+ * @param {Array<Array<number>>} locations - The path as [lat, lng] points
+ * @returns {number} The length in meters
+ */
+export function geodesicLength(locations) {
+    return locations.slice(1).reduce((length, location, i) => length + geodesicDistance(locations[i], location), 0);
+}
+
+/**
+ * Calculates the area of a polygon on the Earth's surface
+ * @param {Array<Array<number>>} locations - The polygon's vertices as [lat, lng] (without repeating the first)
+ * @returns {number} The area in square meters
+ */
+export function geodesicArea(locations) {
+    return Math.abs(signedArea(locations));
+}
+
+// Spherical polygon area, negative if the vertices are counterclockwise
+function signedArea(locations) {
+    const toRadians = Math.PI / 180;
+    const sum = locations.reduce((sum, [lat1, lng1], i) => {
+        const [lat2, lng2] = locations[(i + 1) % locations.length];
+        const deltaLng = normalizeLongitude(lng2 - lng1); // The short way, also across the antimeridian
+        return sum + deltaLng * toRadians * (2 + Math.sin(lat1 * toRadians) + Math.sin(lat2 * toRadians));
+    }, 0);
+    return sum * EARTH_RADIUS ** 2 / 2;
+}
+
+/**
+ * Converts polygon vertices into a GeoJSON Polygon geometry (counterclockwise, as RFC 7946 recommends)
+ * @param {Array<Array<number>>} locations - The vertices as [lat, lng] (without repeating the first)
+ * @returns {Object} The GeoJSON Polygon
+ * @example
+ * polygonToGeoJSON([[0, 0], [0, 1], [1, 1]]);
+ * // { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] }
+ */
+export function polygonToGeoJSON(locations) {
+    const ring = signedArea(locations) > 0 ? [...locations].reverse() : [...locations];
+    return {
+        type: 'Polygon',
+        coordinates: [[...ring, ring[0]].map(([lat, lng]) => [lng, lat])]
+    };
+}
+
+// Center of the bounding box of [lat, lng] locations (also when they cross the antimeridian)
+function boundsCenter(locations) {
+    const lats = locations.map(([lat]) => lat);
+    let reference = locations[0][1];
+    const lngs = locations.map(([, lng]) => reference = nearestLongitude(lng, reference));
+    return [
+        (Math.min(...lats) + Math.max(...lats)) / 2,
+        normalizeLongitude((Math.min(...lngs) + Math.max(...lngs)) / 2)
+    ];
+}
+
+// Human readable area, e.g. "1.25 km²"
+function formatArea(squareMeters, l10n = getLocalization()) {
+    return squareMeters >= 1e6
+        ? `${l10n.number(squareMeters / 1e6, 2)} km²`
+        : `${l10n.number(squareMeters, 0)} m²`;
+}
+
+// Human readable distance, e.g. "850 m"
+function formatDistance(meters, l10n = getLocalization()) {
+    return meters >= 1000 ? `${l10n.number(meters / 1000, 2)} km` : `${l10n.number(meters, 0)} m`;
+}
+
+
+
+
+// Coordinate formats (computed offline, for the `coordinate-format` attribute and the events) and parsing.
+
+
+/**
+ * Encodes a location in all the supported coordinate formats
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {{decimal: string, dms: string, utm: string|null, mgrs: string|null, geohash: string, pluscode: string}}
+ * UTM and MGRS are null near the poles (north of 84°N and south of 80°S)
+ * @example
+ * formatCoordinates(47.36559, 8.524997);
+ * // { decimal: '47.365590, 8.524997', dms: '47°21′56.1″N 8°31′30.0″E', utm: '32T 464135 5245901',
+ * //   mgrs: '32T MT 64134 45901', geohash: 'u0qj3yxsw', pluscode: '8FVC9G8F+6X' }
+ */
+export function formatCoordinates(lat, lng) {
+    const utm = toUTM(lat, lng);
+    return {
+        decimal: `${lat.toFixed(6)}, ${lng.toFixed(6)}`,
+        dms: `${toDMS(lat, 'NS')} ${toDMS(lng, 'EW')}`,
+        utm: utm && `${utm.zone}${utm.band} ${Math.round(utm.easting)} ${Math.round(utm.northing)}`,
+        mgrs: utm && toMGRS(utm),
+        geohash: toGeohash(lat, lng),
+        pluscode: toPlusCode(lat, lng)
+    };
+}
+
+// Degrees, minutes and seconds, e.g. "39°50′32.2″N"
+function toDMS(degrees, [positive, negative]) {
+    const tenths = Math.round(Math.abs(degrees) * 36000); // Tenths of a second (rounded once, so 59.96″ carries over)
+    const d = Math.floor(tenths / 36000);
+    const m = Math.floor(tenths / 600) % 60;
+    const s = (tenths % 600) / 10;
+    return `${d}°${m}′${s.toFixed(1)}″${degrees < 0 ? negative : positive}`;
+}
+
+/**
+ * Converts a location to UTM on the WGS84 ellipsoid (transverse Mercator series, accurate to millimeters in a zone)
+ * @returns {{zone: number, band: string, easting: number, northing: number}|null} null outside 80°S – 84°N
+ */
+function toUTM(lat, lng) {
+    if (lat < -80 || lat > 84) return null;
+    lng = ((lng + 180) % 360 + 360) % 360 - 180;
+
+    let zone = Math.floor((lng + 180) / 6) % 60 + 1;
+    // Exceptions for southwest Norway and Svalbard
+    if (lat >= 56 && lat < 64 && lng >= 3 && lng < 12) zone = 32;
+    if (lat >= 72) {
+        if (lng >= 0 && lng < 9) zone = 31;
+        else if (lng >= 9 && lng < 21) zone = 33;
+        else if (lng >= 21 && lng < 33) zone = 35;
+        else if (lng >= 33 && lng < 42) zone = 37;
+    }
+    const band = 'CDEFGHJKLMNPQRSTUVWXX'[Math.floor((lat + 80) / 8)]; // X is 12° tall
+
+    const a = 6378137; // WGS84 semi-major axis
+    const f = 1 / 298.257223563; // WGS84 flattening
+    const k0 = 0.9996;
+    const e2 = f * (2 - f);
+    const ep2 = e2 / (1 - e2);
+    const toRadians = Math.PI / 180;
+
+    const phi = lat * toRadians;
+    const lambda = (lng - ((zone - 1) * 6 - 180 + 3)) * toRadians; // Relative to the zone's central meridian
+    const N = a / Math.sqrt(1 - e2 * Math.sin(phi) ** 2);
+    const T = Math.tan(phi) ** 2;
+    const C = ep2 * Math.cos(phi) ** 2;
+    const A = Math.cos(phi) * lambda;
+    const M = a * (
+        (1 - e2 / 4 - 3 * e2 ** 2 / 64 - 5 * e2 ** 3 / 256) * phi
+        - (3 * e2 / 8 + 3 * e2 ** 2 / 32 + 45 * e2 ** 3 / 1024) * Math.sin(2 * phi)
+        + (15 * e2 ** 2 / 256 + 45 * e2 ** 3 / 1024) * Math.sin(4 * phi)
+        - (35 * e2 ** 3 / 3072) * Math.sin(6 * phi)
+    );
+
+    const easting = 500000 + k0 * N * (
+        A + (1 - T + C) * A ** 3 / 6
+        + (5 - 18 * T + T ** 2 + 72 * C - 58 * ep2) * A ** 5 / 120
+    );
+    let northing = k0 * (M + N * Math.tan(phi) * (
+        A ** 2 / 2
+        + (5 - T + 9 * C + 4 * C ** 2) * A ** 4 / 24
+        + (61 - 58 * T + T ** 2 + 600 * C - 330 * ep2) * A ** 6 / 720
+    ));
+    if (lat < 0) northing += 10000000; // False northing in the southern hemisphere
+
+    return { zone, band, easting, northing };
+}
+
+// MGRS with 1 meter precision, e.g. "18S UJ 23486 06483"
+function toMGRS({ zone, band, easting, northing }) {
+    const columns = ['ABCDEFGH', 'JKLMNPQR', 'STUVWXYZ'][(zone - 1) % 3];
+    const rows = 'ABCDEFGHJKLMNPQRSTUV';
+    const column = columns[Math.floor(easting / 100000) - 1];
+    const row = rows[(Math.floor(northing / 100000) + (zone % 2 ? 0 : 5)) % 20]; // Even zones start at F
+    const pad = (meters) => String(Math.floor(meters) % 100000).padStart(5, '0');
+    return `${zone}${band} ${column}${row} ${pad(easting)} ${pad(northing)}`;
+}
+
+// Geohash with 9 characters (about 5 meters), e.g. "dqcjpp8ev"
+function toGeohash(lat, lng, precision = 9) {
+    const alphabet = '0123456789bcdefghjkmnpqrstuvwxyz';
+    const ranges = [[-180, 180], [-90, 90]]; // Bits alternate between longitude and latitude
+    let hash = '';
+    let bits = 0;
+    let value = 0;
+    for (let bit = 0; hash.length < precision; bit++) {
+        const range = ranges[bit % 2];
+        const coordinate = bit % 2 ? lat : lng;
+        const middle = (range[0] + range[1]) / 2;
+        value = value * 2 + (coordinate >= middle ? 1 : 0);
+        range[coordinate >= middle ? 0 : 1] = middle;
+        if (++bits === 5) {
+            hash += alphabet[value];
+            bits = value = 0;
+        }
+    }
+    return hash;
+}
+
+// Open Location Code (Plus Code) with 10 digits (about 14 meters), e.g. "87C4VXQ7+RW"
+function toPlusCode(lat, lng) {
+    const alphabet = '23456789CFGHJMPQRVWX';
+    const PAIRS = 5;
+    const RESOLUTION = 8000; // Steps per degree of the last pair (20^4 / 20)
+    // Work with integers to avoid floating point errors
+    let latSteps = Math.floor((Math.min(Math.max(lat, -90), 90) + 90) * RESOLUTION);
+    let lngSteps = Math.floor((((lng + 180) % 360 + 360) % 360) * RESOLUTION);
+    latSteps = Math.min(latSteps, 180 * RESOLUTION - 1); // The north pole is in the last row
+
+    let code = '';
+    for (let pair = 0; pair < PAIRS; pair++) {
+        code = alphabet[latSteps % 20] + alphabet[lngSteps % 20] + code;
+        latSteps = Math.floor(latSteps / 20);
+        lngSteps = Math.floor(lngSteps / 20);
+    }
+    return `${code.slice(0, 8)}+${code.slice(8)}`;
+}
+
+/**
+ * Parses coordinates written in common formats
+ * - decimal degrees: `40.7128, -74.006` or `40.7128 -74.006`
+ * - with hemispheres: `40.7128N 74.006W`, `N 40.7128, W 74.006`
+ * - degrees, minutes (and seconds): `40°42'46"N 74°0'22"W`, `40°42.767′N, 74°0.367′W`, `40 42 46 N 74 0 22 W`
+ * - geo URIs: `geo:40.7128,-74.006;u=35`
+ * - labeled: `lat: 40.7128, lng: -74.006`
+ *
+ * Labels and hemispheres also tell the order, so `lng=-74.006 lat=40.7128` and `74.006W 40.7128N` work too.
+ * @param {string} text - The coordinates
+ * @param {Object} [options]
+ * @param {string} [options.order='latlng'] - Order of coordinates without labels or hemispheres (`'latlng'` or `'lnglat'`, as in GeoJSON)
+ * @returns {Array<number>} [lat, lng]
+ * @throws {SyntaxError} If the text isn't in one of the formats
+ * @throws {RangeError} If the latitude isn't between -90 and 90 or the longitude isn't between -180 and 180
+ * @example
+ * parseCoordinates('40.7N, 74W'); // Returns [40.7, -74]
+ * parseCoordinates('-74.006, 40.7128', { order: 'lnglat' }); // Returns [40.7128, -74.006]
+ */
+export function parseCoordinates(text, { order = 'latlng' } = {}) {
+    const input = String(text).trim();
+    let lat, lng;
+
+    const geo = input.match(/^geo:([^;?]*)(.*)$/i);
+    const labels = [...input.matchAll(/\b(?:lat(?:itude)?|lng|lon(?:g(?:itude)?)?)\b/gi)];
+    if (geo) {
+        // geo:lat,lng[,altitude][;crs=wgs84][;u=uncertainty]
+        const crs = geo[2].match(/;crs=([^;]*)/i)?.[1];
+        if (crs && crs.toLowerCase() !== 'wgs84') throw new SyntaxError(`Unsupported coordinate system "${crs}"`);
+        const numbers = geo[1].split(',');
+        if (numbers.length < 2 || numbers.length > 3 || !numbers.every(number => /^\s*[-+]?\d+(\.\d+)?\s*$/.test(number))) {
+            throw new SyntaxError(`Invalid geo URI "${input}"`);
+        }
+        [lat, lng] = numbers.map(Number);
+    } else if (labels.length) {
+        if (labels.length !== 2 || input.slice(0, labels[0].index).trim()) throw new SyntaxError(`Invalid coordinates "${input}"`);
+        const [first, second] = labels.map((label, i) =>
+            parseAngle(tokenizeCoordinates(input.slice(label.index + label[0].length, labels[i + 1]?.index))).value
+        );
+        const [firstIsLat, secondIsLat] = labels.map(([label]) => /^lat/i.test(label));
+        if (firstIsLat === secondIsLat) throw new SyntaxError(`Invalid coordinates "${input}"`);
+        [lat, lng] = firstIsLat ? [first, second] : [second, first];
+    } else {
+        // Without a separator, `12E5` (or `1e3`) would be split at the letter into two angles
+        if (!/[,;]/.test(input) && /\d[NSEW]\d/i.test(input)) throw new SyntaxError(`Invalid coordinates "${input}"`);
+        const [first, second] = splitAngles(tokenizeCoordinates(input), input).map(parseAngle);
+        const axis = ({ hemisphere }) => hemisphere && ('NS'.includes(hemisphere) ? 'lat' : 'lng');
+        let swapped = order === 'lnglat';
+        if (axis(first) || axis(second)) {
+            if (axis(first) === axis(second)) throw new SyntaxError(`Invalid coordinates "${input}"`);
+            swapped = axis(first) === 'lng' || axis(second) === 'lat';
+        }
+        [lat, lng] = swapped ? [second.value, first.value] : [first.value, second.value];
+    }
+
+    if (!(Math.abs(lat) <= 90)) throw new RangeError(`Latitude must be between -90 and 90 (got ${lat})`);
+    if (!(Math.abs(lng) <= 180)) throw new RangeError(`Longitude must be between -180 and 180 (got ${lng})`);
+    return [lat, lng];
+}
+
+// Numbers, hemispheres and separators, e.g. `40°42'46"N, 74W` → ['40', '42', '46', 'N', ',', '74', 'W']
+function tokenizeCoordinates(text) {
+    if (!/^[\d\s.,;:=+\-NSEW°º'′’"″”]*$/i.test(text)) throw new SyntaxError(`Invalid coordinates "${text.trim()}"`);
+    return text.match(/[-+]?(?:\d+(?:\.\d*)?|\.\d+)|[NSEW]|[,;]/gi) ?? [];
+}
+
+// Split the tokens of a pair of coordinates at the separator, the hemispheres or in half
+function splitAngles(tokens, input) {
+    const isHemisphere = (token) => /^[NSEW]$/i.test(token);
+    const separators = tokens.flatMap((token, i) => /^[,;]$/.test(token) ? [i] : []);
+    const hemispheres = tokens.filter(isHemisphere).length;
+
+    let index = -1;
+    if (separators.length === 1) index = separators[0];
+    else if (separators.length === 0 && isHemisphere(tokens[0])) {
+        index = tokens.findIndex((token, i) => i > 0 && isHemisphere(token)); // N 40.7 W 74
+    } else if (separators.length === 0 && hemispheres) {
+        index = tokens.findIndex(isHemisphere) + 1; // 40.7 N 74 W
+    } else if (separators.length === 0 && hemispheres === 0 && tokens.length % 2 === 0) {
+        index = tokens.length / 2; // 40 42 46 -74 0 22
+    }
+    if (index <= 0 || index >= tokens.length) throw new SyntaxError(`Invalid coordinates "${input}"`);
+    return [tokens.slice(0, index), tokens.slice(index)];
+}
+
+// Read an angle from its tokens, e.g. ['40', '42', '46', 'N'] → { value: 40.7128, hemisphere: 'N' }
+// (the hemisphere comes first or last, so `1e3` in `1e3, 2` isn't read as an angle)
+function parseAngle(tokens) {
+    const angleTokens = tokens.filter(token => !/^[,;]$/.test(token));
+    const hemisphereIndex = angleTokens.findIndex(token => /^[NSEW]$/i.test(token));
+    const hemispheres = tokens.filter(token => /^[NSEW]$/i.test(token)).map(token => token.toUpperCase());
+    const numbers = tokens.filter(token => !/^[NSEW,;]$/i.test(token)).map(Number);
+    const innerHemisphere = hemisphereIndex > 0 && hemisphereIndex < angleTokens.length - 1;
+    if (hemispheres.length > 1 || innerHemisphere || !numbers.length || numbers.length > 3) {
+        throw new SyntaxError(`Invalid coordinate "${tokens.join(' ')}"`);
+    }
+    const [degrees, minutes = 0, seconds = 0] = numbers;
+    if (numbers.slice(1).some(number => number < 0 || number >= 60)) {
+        throw new RangeError(`Minutes and seconds must be between 0 and 60 (got "${tokens.join(' ')}")`);
+    }
+    const [hemisphere] = hemispheres;
+    const negative = degrees < 0 || Object.is(degrees, -0) || hemisphere === 'S' || hemisphere === 'W';
+    return { value: (Math.abs(degrees) + minutes / 60 + seconds / 3600) * (negative ? -1 : 1), hemisphere };
+}
+
+
+// Statically define the element unless ?define=false is set as an URL param
+// (at the end of the module, so everything the element uses is initialized when existing elements upgrade)
+{
+    const tag = new URL(import.meta.url).searchParams.get("define") || MapPicker.tag;
+    if (tag !== "false") MapPicker.define(tag);
+}